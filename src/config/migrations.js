@@ -0,0 +1,114 @@
+/**
+ * Migrations of the data in the database, which are run when the server starts.
+ * Every migration only changes documents that have not been migrated, so it can be run any number of times.
+ *
+ * @author Anja Willsund
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose'
+import { CatalogEntry } from '../models/catalog-entry.js'
+import { Location } from '../models/location.js'
+import { Puzzle } from '../models/puzzle.js'
+import { parseLocationPath } from '../utils/name-list.js'
+
+/**
+ * Replaces the free-text locations of the puzzles with locations in the location hierarchy of the owner.
+ * Texts that only differ in case, punctuation or spaces, e.g. "Vind, låda 3" and "vind låda 3", become the same location.
+ * Texts with > become a path, e.g. "Vind > Låda 3".
+ *
+ * @returns {Promise<number>} The number of puzzles that were migrated.
+ */
+const migrateLocations = async () => {
+  let count = 0
+  // The puzzles are read and updated directly, since the free-text locations can't be cast to the current schema.
+  const cursor = Puzzle.collection.find({ location: { $type: 'string' } }, { projection: { owner: 1, location: 1 } })
+  for await (const doc of cursor) {
+    const names = parseLocationPath(doc.location)
+    const location = names.length ? await Location.findOrCreatePath(doc.owner, names) : null
+    // Only update the puzzle if the location has not been changed since it was read.
+    const { modifiedCount } = await Puzzle.collection.updateOne({ _id: doc._id, location: doc.location }, { $set: { location } })
+    count += modifiedCount
+  }
+  return count
+}
+
+/**
+ * Adds a missing piece without a position for every missing piece of the puzzles that only have a number of missing pieces.
+ *
+ * @returns {Promise<number>} The number of puzzles that were migrated.
+ */
+const migrateMissingPieces = async () => {
+  let count = 0
+  const cursor = Puzzle.collection.find(
+    { missingPiecesNumber: { $gt: 0 }, missingPieces: { $exists: false } },
+    { projection: { missingPiecesNumber: 1, updatedAt: 1 } }
+  )
+  for await (const doc of cursor) {
+    const missingPieces = Array.from({ length: doc.missingPiecesNumber }, () => ({
+      _id: new mongoose.Types.ObjectId(),
+      kind: 'missing',
+      x: null,
+      y: null,
+      description: '',
+      noticedAt: doc.updatedAt || new Date(),
+      foundAt: null
+    }))
+    // Only update the puzzle if the missing pieces have not been registered since it was read.
+    const { modifiedCount } = await Puzzle.collection.updateOne({ _id: doc._id, missingPieces: { $exists: false } }, { $set: { missingPieces } })
+    count += modifiedCount
+  }
+  return count
+}
+
+/**
+ * Saves the date when each puzzle was last played as the date entered manually, if the puzzle has no sessions.
+ * Before the date entered manually was saved separately, the date of a puzzle with sessions was derived from the sessions.
+ *
+ * @returns {Promise<number>} The number of puzzles that were migrated.
+ */
+const migrateLastPlayed = async () => {
+  const { modifiedCount } = await Puzzle.collection.updateMany({ lastPlayedManually: { $exists: false } }, [{
+    $set: {
+      lastPlayedManually: {
+        $cond: [{ $gt: [{ $size: { $ifNull: ['$sessions', []] } }, 0] }, null, { $ifNull: ['$lastPlayed', null] }]
+      }
+    }
+  }])
+  return modifiedCount
+}
+
+/**
+ * Removes the box images that were added to the catalog from the puzzles of the users before the users could choose to share them.
+ *
+ * @returns {Promise<number>} The number of catalog entries that were migrated.
+ */
+const migrateCatalogImages = async () => {
+  const { modifiedCount } = await CatalogEntry.collection.updateMany(
+    { source: 'user', 'image.data': { $ne: null }, 'image.shared': { $exists: false } },
+    { $set: { image: { data: null, etag: null } } }
+  )
+  return modifiedCount
+}
+
+/**
+ * Runs all migrations.
+ */
+export const runMigrations = async () => {
+  const locations = await migrateLocations()
+  if (locations > 0) {
+    console.log(`Free-text locations migrated: ${locations}`)
+  }
+  const missingPieces = await migrateMissingPieces()
+  if (missingPieces > 0) {
+    console.log(`Numbers of missing pieces migrated: ${missingPieces}`)
+  }
+  const lastPlayed = await migrateLastPlayed()
+  if (lastPlayed > 0) {
+    console.log(`Dates when puzzles were last played migrated: ${lastPlayed}`)
+  }
+  const catalogImages = await migrateCatalogImages()
+  if (catalogImages > 0) {
+    console.log(`Catalog images that were not shared removed: ${catalogImages}`)
+  }
+}
@@ -0,0 +1,523 @@
+/**
+ * Module for the BackupController.
+ *
+ * @author Anja Willsund
+ * @version 1.0.0
+ */
+
+import createError from 'http-errors'
+import JSZip from 'jszip'
+import { Readable } from 'stream'
+import { Loan } from '../models/loan.js'
+import { Location, MAX_LOCATION_NAME_LENGTH } from '../models/location.js'
+import { Puzzle } from '../models/puzzle.js'
+import { PuzzleImage } from '../models/puzzle-image.js'
+import { MAX_SHELF_NAME_LENGTH, Shelf } from '../models/shelf.js'
+import { MAX_TAG_NAME_LENGTH, NAME_COLLATION, Tag } from '../models/tag.js'
+import { stringifyCsv } from '../utils/csv.js'
+import { createImageVariants } from '../utils/image-processing.js'
+import { parseLocationPath, parseNameList } from '../utils/name-list.js'
+import { EXPORT_FIELDS, toExportData } from '../utils/puzzle-export.js'
+
+// The version of the export format, which is increased if the format is changed.
+const EXPORT_VERSION = 1
+
+// The name of the file with the puzzles in a backup archive.
+const BACKUP_FILE = 'puzzles.json'
+
+// The maximum decompressed size of the file with the puzzles, and of every image, in a backup archive.
+// Images have the same limit as uploaded images.
+const MAX_BACKUP_FILE_SIZE = 50 * 1024 * 1024 // 50MB
+const MAX_IMAGE_SIZE = 10 * 1024 * 1024 // 10MB
+
+// The maximum decompressed size of all files in a backup archive, so that a small archive can't be decompressed to fill the memory.
+const MAX_UNCOMPRESSED_SIZE = 1024 * 1024 * 1024 // 1GB
+
+/**
+ * Encapsulates a controller.
+ */
+export class BackupController {
+  /**
+   * The ids of the users whose backups are being restored.
+   *
+   * @type {Set<string>}
+   */
+  static #restoringUsers = new Set()
+
+  /**
+   * Exports all puzzles of the authenticated user as a CSV or JSON file, chosen with the format query parameter.
+   * The CSV file has the same columns as the files that can be imported.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async exportCollection (req, res, next) {
+    try {
+      const format = req.query.format || 'json'
+      if (!['csv', 'json'].includes(format)) {
+        throw createError(400, 'Formatet måste vara csv eller json.')
+      }
+      const puzzles = await this.#getExportedPuzzles(req.user.id)
+
+      res.attachment(`bit-for-bit-${new Date().toISOString().slice(0, 10)}.${format}`)
+      if (format === 'csv') {
+        res.status(200).send(stringifyCsv(puzzles.map(({ data }) => data), EXPORT_FIELDS))
+      } else {
+        res.status(200).send(JSON.stringify(await this.#createExport(req.user.id, puzzles.map(({ data }) => data)), null, 2))
+      }
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Sends a ZIP archive with all puzzles of the authenticated user, including the decrypted private notes,
+   * sessions and photos, and the original image of every photo.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async exportBackup (req, res, next) {
+    try {
+      const zip = new JSZip()
+      const puzzles = await this.#getExportedPuzzles(req.user.id)
+      // Only the formats of the images are found here. The data of each image is loaded when it is added to the archive.
+      for (const { puzzle, data } of puzzles) {
+        for (const [index, photo] of puzzle.photos.entries()) {
+          const image = await this.#findOriginalImage(puzzle, photo._id)
+          if (image) {
+            data.photos[index].file = `images/${puzzle.id}/${photo.id}.${image.format}`
+            zip.file(data.photos[index].file, this.#createImageStream(async () => (await PuzzleImage.findById(image._id, 'data'))?.data))
+          }
+        }
+        // The image saved before puzzles had photos is added as a photo of the front of the box.
+        if (!puzzle.coverPhoto) {
+          const hasOldImage = await Puzzle.exists({ _id: puzzle._id, image: { $ne: null } })
+          const oldVariant = !hasOldImage && await this.#findOriginalImage(puzzle, null)
+          if (hasOldImage || oldVariant) {
+            const file = `images/${puzzle.id}/cover.${oldVariant ? oldVariant.format : 'png'}`
+            data.photos.unshift({ type: 'boxFront', caption: '', isCover: true, file })
+            zip.file(file, this.#createImageStream(async () => oldVariant
+              ? (await PuzzleImage.findById(oldVariant._id, 'data'))?.data
+              : (await Puzzle.findById(puzzle._id, 'image'))?.image))
+          }
+        }
+      }
+      const backup = await this.#createExport(req.user.id, puzzles.map(({ data }) => data))
+      zip.file(BACKUP_FILE, JSON.stringify(backup, null, 2), { compression: 'DEFLATE' })
+
+      // The archive is sent while it is created, and the images are loaded one at a time, so that only one image at a time
+      // is held in memory. The response has already started if the creation fails, so the response can only be aborted.
+      res.attachment(`bit-for-bit-backup-${new Date().toISOString().slice(0, 10)}.zip`)
+      res.status(200)
+      zip.generateNodeStream({ type: 'nodebuffer', streamFiles: true })
+        .on('error', error => {
+          console.error('Error: ' + error.message)
+          res.destroy(error)
+        })
+        .pipe(res)
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Restores the puzzles of an uploaded backup archive. The archive can only be restored to an empty collection,
+   * e.g. on a new account, so that puzzles are not added twice.
+   * All puzzles are validated before any puzzle is saved, and everything that has been saved is removed if the restore fails,
+   * so that an invalid archive does not leave a half restored collection, and the restore can be tried again.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async restoreBackup (req, res, next) {
+    // Two restores for the same user would both find an empty collection, so only one restore at a time is allowed.
+    if (BackupController.#restoringUsers.has(req.user.id)) {
+      next(createError(409, 'En säkerhetskopia återställs redan.'))
+      return
+    }
+    BackupController.#restoringUsers.add(req.user.id)
+    try {
+      if (!req.file) {
+        throw createError(400, 'En säkerhetskopia måste laddas upp.')
+      }
+      if (await Puzzle.exists({ owner: req.user.id })) {
+        throw createError(400, 'En säkerhetskopia kan bara återställas till en tom samling.')
+      }
+      const { zip, backup } = await this.#readBackup(req.file.buffer)
+
+      const restoredPuzzles = []
+      for (const [index, data] of backup.puzzles.entries()) {
+        if (!this.#isValidBackupPuzzle(data)) {
+          throw createError(400, `Pussel ${index + 1} i säkerhetskopian är ogiltigt.`)
+        }
+        const puzzle = this.#createPuzzleFromBackup(data, req.user.id)
+        let tagNames, shelfNames, locationNames
+        try {
+          tagNames = parseNameList(data.tags ?? [], MAX_TAG_NAME_LENGTH, `Taggens namn får inte innehålla fler än ${MAX_TAG_NAME_LENGTH} tecken.`)
+          shelfNames = parseNameList(data.shelves ?? [], MAX_SHELF_NAME_LENGTH, `Hyllans namn får inte innehålla fler än ${MAX_SHELF_NAME_LENGTH} tecken.`)
+          locationNames = parseLocationPath(data.location, MAX_LOCATION_NAME_LENGTH, `Platsens namn får inte innehålla fler än ${MAX_LOCATION_NAME_LENGTH} tecken.`)
+          await puzzle.validate()
+        } catch (error) {
+          const messages = Object.values(error.errors || {}).map(validationError => validationError.message)
+          throw createError(400, `Pussel ${index + 1} i säkerhetskopian är ogiltigt: ${messages.join(' ') || error.message}`)
+        }
+        restoredPuzzles.push({ puzzle, data, tagNames, shelfNames, locationNames })
+      }
+
+      const restoredImages = await this.#saveRestoredPuzzles(zip, backup, restoredPuzzles, req.user.id)
+      res.status(201).json({ message: 'Backup restored successfully.', puzzles: restoredPuzzles.length, images: restoredImages })
+    } catch (error) {
+      next(error)
+    } finally {
+      BackupController.#restoringUsers.delete(req.user.id)
+    }
+  }
+
+  /**
+   * Gets all puzzles of a user, sorted by title, together with the format that they are exported in.
+   *
+   * @param {string} owner - The id of the user.
+   * @returns {Promise<object[]>} The puzzles and the exported data of each puzzle.
+   */
+  async #getExportedPuzzles (owner) {
+    const [puzzles, loans] = await Promise.all([
+      Puzzle.find({ owner }, '-image').populate('tags', 'name').populate('shelves', 'name').sort({ title: 1 }).collation({ locale: 'sv' }),
+      Loan.find({ owner, status: 'active' })
+    ])
+    const loansByPuzzle = new Map(loans.map(loan => [loan.puzzle.toString(), loan]))
+    const locations = await Location.getPaths(puzzles.map(puzzle => puzzle.location).filter(Boolean))
+    return puzzles.map(puzzle => ({
+      puzzle,
+      data: toExportData(puzzle, loansByPuzzle.get(puzzle.id) ?? null, puzzle.location ? locations.get(puzzle.location.toString())?.path : null)
+    }))
+  }
+
+  /**
+   * Finds the original image of a photo of a puzzle. The large PNG image is used for images saved before the originals were kept.
+   *
+   * @param {object} puzzle - The puzzle.
+   * @param {object|null} photoId - The id of the photo, or null for the image saved before puzzles had photos.
+   * @returns {Promise<object|null>} The image, with its id and format but without its data, or null if the photo has no image.
+   */
+  async #findOriginalImage (puzzle, photoId) {
+    return await PuzzleImage.findOne({ puzzle: puzzle._id, photo: photoId, size: 'original' }, 'format') ||
+      await PuzzleImage.findOne({ puzzle: puzzle._id, photo: photoId, size: 'large', format: 'png' }, 'format')
+  }
+
+  /**
+   * Creates a stream with an image, which is not loaded until the image is added to the archive.
+   * The archive adds its files one at a time, so only one image at a time is held in memory.
+   * An image that has been removed since the archive was started becomes an empty file.
+   *
+   * @param {Function} loadImage - Loads the data of the image.
+   * @returns {Readable} The stream.
+   */
+  #createImageStream (loadImage) {
+    return Readable.from((async function * () {
+      const data = await loadImage()
+      if (data) {
+        yield data
+      }
+    })())
+  }
+
+  /**
+   * Creates the exported JSON data, with all tags and shelves of the user, so that their colors and descriptions can be restored.
+   *
+   * @param {string} owner - The id of the user.
+   * @param {object[]} puzzles - The exported puzzles.
+   * @returns {Promise<object>} The exported data.
+   */
+  async #createExport (owner, puzzles) {
+    const [tags, shelves] = await Promise.all([
+      Tag.find({ owner }).sort({ name: 1 }).collation({ locale: 'sv' }),
+      Shelf.find({ owner }).sort({ name: 1 }).collation({ locale: 'sv' })
+    ])
+    return {
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      tags: tags.map(tag => ({ name: tag.name, color: tag.color })),
+      shelves: shelves.map(shelf => ({ name: shelf.name, description: shelf.description })),
+      puzzles
+    }
+  }
+
+  /**
+   * Saves the validated puzzles of a backup, with their tags, shelves, locations, images and loans.
+   * If anything fails, the puzzles and everything that was created for them are removed before the error is thrown.
+   * A transaction is not used, since creating the images of a large backup takes longer than a transaction is allowed to last.
+   *
+   * @param {object} zip - The backup archive.
+   * @param {object} backup - The parsed backup.
+   * @param {object[]} restoredPuzzles - The validated puzzles, with their data in the backup and the names of their tags, shelves and location.
+   * @param {string} owner - The id of the user that the backup is restored for.
+   * @returns {Promise<number>} The number of restored images.
+   */
+  async #saveRestoredPuzzles (zip, backup, restoredPuzzles, owner) {
+    // The tags, shelves and locations that the user already has are kept if the restore fails.
+    const [tagIds, shelfIds, locationIds] = await Promise.all([Tag, Shelf, Location].map(Model => Model.distinct('_id', { owner })))
+    const puzzleIds = []
+    let restoredImages = 0
+    try {
+      await this.#restoreTagsAndShelves(backup, owner)
+      for (const { puzzle, data, tagNames, shelfNames, locationNames } of restoredPuzzles) {
+        const images = await this.#readImages(zip, puzzle, data)
+        puzzle.tags = await Tag.findOrCreateByNames(owner, tagNames)
+        puzzle.shelves = await Shelf.findOrCreateByNames(owner, shelfNames)
+        puzzle.location = locationNames.length ? await Location.findOrCreatePath(owner, locationNames) : null
+        puzzleIds.push(puzzle._id)
+        await puzzle.save()
+        for (const { photoId, variants } of images) {
+          await PuzzleImage.replaceVariants(puzzle, photoId, variants)
+          restoredImages++
+        }
+        if (puzzle.isLentOut) {
+          await Loan.create({
+            puzzle: puzzle._id,
+            owner,
+            borrowerName: puzzle.lentOutToString,
+            status: 'active',
+            lentOutAt: new Date(),
+            dueDate: data.lentOutDueDate ? new Date(data.lentOutDueDate) : null
+          })
+        }
+      }
+      return restoredImages
+    } catch (error) {
+      await Promise.all([
+        Puzzle.deleteMany({ _id: { $in: puzzleIds } }),
+        PuzzleImage.deleteMany({ puzzle: { $in: puzzleIds } }),
+        Loan.deleteMany({ puzzle: { $in: puzzleIds } }),
+        Tag.deleteMany({ owner, _id: { $nin: tagIds } }),
+        Shelf.deleteMany({ owner, _id: { $nin: shelfIds } }),
+        Location.deleteMany({ owner, _id: { $nin: locationIds } })
+      ])
+      throw error
+    }
+  }
+
+  /**
+   * Checks that a puzzle in a backup, and its sessions, missing pieces and photos, are objects,
+   * so that a puzzle can be created from it.
+   *
+   * @param {*} data - The puzzle in the backup.
+   * @returns {boolean} True if a puzzle can be created from the data, otherwise false.
+   */
+  #isValidBackupPuzzle (data) {
+    return this.#isObject(data) &&
+      ['sessions', 'missingPieces', 'photos'].every(key => !Array.isArray(data[key]) || data[key].every(value => this.#isObject(value)))
+  }
+
+  /**
+   * Checks if a value is an object, and not null or an array.
+   *
+   * @param {*} value - The value to check.
+   * @returns {boolean} True if the value is an object, otherwise false.
+   */
+  #isObject (value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value)
+  }
+
+  /**
+   * Creates the tags and shelves of a backup, with their colors and descriptions, unless the user already has them.
+   * Invalid tags and shelves are skipped, and are created without a color or description if a puzzle has them.
+   *
+   * @param {object} backup - The parsed backup.
+   * @param {string} owner - The id of the user that the backup is restored for.
+   */
+  async #restoreTagsAndShelves (backup, owner) {
+    for (const [Model, items] of [[Tag, backup.tags], [Shelf, backup.shelves]]) {
+      for (const item of Array.isArray(items) ? items : []) {
+        const document = new Model({ name: item?.name, color: item?.color, description: item?.description, owner })
+        try {
+          await document.validate()
+        } catch (error) {
+          continue
+        }
+        await Model.updateOne({ owner, name: document.name }, { $setOnInsert: document.toObject() }, { upsert: true }).collation(NAME_COLLATION)
+      }
+    }
+  }
+
+  /**
+   * Reads an uploaded backup archive. The decompressed sizes of the files are checked before any file is decompressed.
+   *
+   * @param {Buffer} buffer - The uploaded archive.
+   * @returns {Promise<object>} The archive and the parsed backup.
+   * @throws {Error} If the file is not a backup archive, or if the files are too large.
+   */
+  async #readBackup (buffer) {
+    let zip
+    try {
+      zip = await JSZip.loadAsync(buffer)
+    } catch (error) {
+      throw createError(400, 'Filen är inte en giltig säkerhetskopia.')
+    }
+    let totalSize = 0
+    for (const file of Object.values(zip.files)) {
+      const size = this.#getUncompressedSize(file)
+      if (size > (file.name === BACKUP_FILE ? MAX_BACKUP_FILE_SIZE : MAX_IMAGE_SIZE)) {
+        throw createError(400, `Filen ${file.name} i säkerhetskopian är för stor.`)
+      }
+      totalSize += size
+    }
+    if (totalSize > MAX_UNCOMPRESSED_SIZE) {
+      throw createError(400, 'Säkerhetskopian är för stor.')
+    }
+
+    try {
+      const backup = JSON.parse((await this.#readFile(zip.file(BACKUP_FILE), MAX_BACKUP_FILE_SIZE)).toString('utf8'))
+      if (!Array.isArray(backup.puzzles) || backup.version > EXPORT_VERSION) {
+        throw new Error('Unsupported backup.')
+      }
+      return { zip, backup }
+    } catch (error) {
+      throw createError(400, 'Filen är inte en giltig säkerhetskopia.')
+    }
+  }
+
+  /**
+   * Gets the decompressed size of a file in an archive, as it is given in the archive.
+   *
+   * @param {object} file - The file in the archive.
+   * @returns {number} The size, in bytes.
+   */
+  #getUncompressedSize (file) {
+    // JSZip does not expose the sizes that are read from the archive, other than on the internal data of the file.
+    return file.dir ? 0 : file._data?.uncompressedSize ?? 0
+  }
+
+  /**
+   * Decompresses a file in an archive. The size given in the archive can be wrong,
+   * so the decompression is stopped as soon as the file is larger than the maximum size.
+   *
+   * @param {object} file - The file in the archive.
+   * @param {number} maxSize - The maximum size of the file, in bytes.
+   * @returns {Promise<Buffer>} The decompressed file.
+   * @throws {Error} If the file is larger than the maximum size.
+   */
+  #readFile (file, maxSize) {
+    return new Promise((resolve, reject) => {
+      const chunks = []
+      let size = 0
+      const stream = file.internalStream('nodebuffer')
+      stream
+        .on('data', chunk => {
+          size += chunk.length
+          if (size > maxSize) {
+            stream.pause()
+            reject(createError(400, `Filen ${file.name} i säkerhetskopian är för stor.`))
+          } else {
+            chunks.push(chunk)
+          }
+        })
+        .on('error', reject)
+        .on('end', () => resolve(Buffer.concat(chunks)))
+        .resume()
+    })
+  }
+
+  /**
+   * Creates a new, unsaved puzzle from a puzzle in a backup.
+   *
+   * @param {object} data - The puzzle in the backup.
+   * @param {string} owner - The id of the user that the backup is restored for.
+   * @returns {object} The puzzle.
+   */
+  #createPuzzleFromBackup (data, owner) {
+    const puzzle = new Puzzle({
+      title: data.title,
+      piecesNumber: data.piecesNumber ?? undefined,
+      sizeHeight: data.sizeHeight ?? undefined,
+      sizeWidth: data.sizeWidth ?? undefined,
+      manufacturer: data.manufacturer || undefined,
+      ean: data.ean || undefined,
+      lastPlayedManually: this.#getManualLastPlayed(data),
+      privateNote: data.privateNote || undefined,
+      sharedNote: data.sharedNote || undefined,
+      isPrivate: data.isPrivate ?? undefined,
+      availableForSwap: data.availableForSwap ?? undefined,
+      isLentOut: data.isLentOut ?? undefined,
+      // Puzzles that were lent out to a friend are restored as lent out to the friend's username, since the friend is not known.
+      lentOutToString: data.isLentOut ? data.lentOutToString : null,
+      sessions: (Array.isArray(data.sessions) ? data.sessions : []).map(session => ({
+        startedAt: session.startedAt,
+        finishedAt: session.finishedAt,
+        timeSpent: session.timeSpent,
+        players: session.players,
+        note: session.note
+      })),
+      missingPieces: (Array.isArray(data.missingPieces) ? data.missingPieces : []).map(piece => ({
+        kind: piece.kind,
+        x: piece.x,
+        y: piece.y,
+        description: piece.description,
+        noticedAt: piece.noticedAt,
+        foundAt: piece.foundAt
+      })),
+      photos: (Array.isArray(data.photos) ? data.photos : []).map(photo => ({ type: photo.type, caption: photo.caption })),
+      owner
+    })
+    // Backups from before the missing pieces were registered only contain the number of missing pieces.
+    if (!Array.isArray(data.missingPieces)) {
+      puzzle.setMissingPiecesNumber(Number(data.missingPiecesNumber) || 0)
+    }
+    const coverIndex = Array.isArray(data.photos) ? data.photos.findIndex(photo => photo.isCover) : -1
+    puzzle.coverPhoto = puzzle.photos[coverIndex]?._id ?? null
+    return puzzle
+  }
+
+  /**
+   * Gets the date when a puzzle in a backup was last played, as entered by the user.
+   * Backups from before the date was saved separately only contain the date derived from the sessions,
+   * which was the date entered by the user if the puzzle had no sessions.
+   *
+   * @param {object} data - The puzzle in the backup.
+   * @returns {Date|null} The date, or null if no date was entered.
+   */
+  #getManualLastPlayed (data) {
+    const date = data.lastPlayedManually !== undefined
+      ? data.lastPlayedManually
+      : !Array.isArray(data.sessions) || data.sessions.length === 0 ? data.lastPlayed : null
+    return date ? new Date(date) : null
+  }
+
+  /**
+   * Reads the images of the photos of a restored puzzle from a backup archive, and creates all sizes and formats of them.
+   * Photos without a valid image are removed from the puzzle.
+   *
+   * @param {object} zip - The backup archive.
+   * @param {object} puzzle - The restored puzzle.
+   * @param {object} data - The puzzle in the backup.
+   * @returns {Promise<object[]>} The id of each photo with an image, and the variants of the image.
+   */
+  async #readImages (zip, puzzle, data) {
+    const images = []
+    const photosWithoutImage = []
+    for (const [index, photo] of puzzle.photos.entries()) {
+      const file = typeof data.photos[index].file === 'string' && zip.file(data.photos[index].file)
+      if (!file) {
+        photosWithoutImage.push(photo)
+        continue
+      }
+      // An image that is larger than the size given in the archive is not removed, but stops the restore.
+      const buffer = await this.#readFile(file, MAX_IMAGE_SIZE)
+      try {
+        images.push({ photoId: photo._id, variants: await createImageVariants(buffer) })
+      } catch (error) {
+        photosWithoutImage.push(photo)
+      }
+    }
+    for (const photo of photosWithoutImage) {
+      photo.deleteOne()
+    }
+    if (!puzzle.photos.id(puzzle.coverPhoto)) {
+      puzzle.coverPhoto = puzzle.photos[0]?._id ?? null
+    }
+    return images
+  }
+}
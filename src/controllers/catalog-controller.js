@@ -0,0 +1,101 @@
+/**
+ * Module for the CatalogController.
+ *
+ * @author Anja Willsund
+ * @version 1.0.0
+ */
+
+import createError from 'http-errors'
+import { CatalogEntry } from '../models/catalog-entry.js'
+import { Puzzle } from '../models/puzzle.js'
+import { isValidEan, normalizeEan } from '../utils/ean.js'
+
+/**
+ * Encapsulates a controller.
+ */
+export class CatalogController {
+  /**
+   * Loads the catalog entry with a specific EAN code.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @param {string} ean - The EAN code of the entry to load.
+   */
+  async loadEntry (req, res, next, ean) {
+    try {
+      const normalizedEan = normalizeEan(ean)
+      if (!isValidEan(normalizedEan)) {
+        next(createError(400, 'Invalid EAN'))
+        return
+      }
+      const entry = await CatalogEntry.findOne({ ean: normalizedEan })
+      if (!entry) {
+        next(createError(404, 'Catalog entry not found'))
+        return
+      }
+      req.catalogEntry = entry
+
+      next()
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Gets the details of the loaded catalog entry, with the same names as the fields that are submitted when a puzzle is added.
+   * Whether the authenticated user already has a puzzle with the EAN code is also sent.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async getEntry (req, res, next) {
+    try {
+      const entry = req.catalogEntry
+      const hasImage = Boolean(entry.image?.data)
+      res.status(200).json({
+        ean: entry.ean,
+        title: entry.title,
+        manufacturer: entry.manufacturer || '',
+        piecesNumber: entry.piecesNumber ?? null,
+        sizeHeight: entry.sizeHeight ?? null,
+        sizeWidth: entry.sizeWidth ?? null,
+        imageUrl: hasImage ? `/my/catalog/${entry.ean}/image` : null,
+        inCollection: Boolean(await Puzzle.exists({ owner: req.user.id, ean: entry.ean }))
+      })
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Sends the box image of the loaded catalog entry.
+   * The response can be cached by the client, which must revalidate it with the ETag.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async getEntryImage (req, res, next) {
+    try {
+      const image = req.catalogEntry.image
+      if (!image?.data) {
+        throw createError(404, 'Image not found')
+      }
+      res.set({
+        'Content-Type': 'image/png',
+        ETag: image.etag,
+        'Cache-Control': 'private, no-cache'
+      })
+      // Respond with 304 Not Modified if the client already has the current image.
+      if (req.fresh) {
+        res.status(304).end()
+        return
+      }
+      res.status(200).send(image.data)
+    } catch (error) {
+      next(error)
+    }
+  }
+}
@@ -0,0 +1,235 @@
+/**
+ * Module for the FriendController.
+ *
+ * @author Anja Willsund
+ * @version 1.0.0
+ */
+
+import createError from 'http-errors'
+import { User } from '../models/user.js'
+import { FriendRequest } from '../models/friend-request.js'
+import { WishlistItem } from '../models/wishlist-item.js'
+
+/**
+ * Encapsulates a controller.
+ */
+export class FriendController {
+  /**
+   * Loads the user with the submitted username.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @param {string} username - The username of the user to load.
+   */
+  async loadUser (req, res, next, username) {
+    try {
+      // Usernames are always saved in lower case.
+      const otherUser = await User.findOne({ username: username.trim().toLowerCase() })
+      if (!otherUser) {
+        next(createError(404, 'Användaren hittades inte.'))
+        return
+      }
+      req.otherUser = otherUser
+
+      next()
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Gets all friends of the authenticated user.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async getFriends (req, res, next) {
+    try {
+      const user = await User.findById(req.user.id).populate('friends', 'username')
+      if (!user) {
+        next(createError(404, 'Användaren hittades inte.'))
+        return
+      }
+      const friends = user.friends
+        .map(friend => ({ id: friend.id, username: friend.username }))
+        .sort((a, b) => a.username.localeCompare(b.username))
+      res.status(200).json(friends)
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Gets all pending friend requests sent to and from the authenticated user.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async getFriendRequests (req, res, next) {
+    try {
+      const [incoming, outgoing] = await Promise.all([
+        FriendRequest.find({ to: req.user.id }).populate('from', 'username').sort({ createdAt: -1 }),
+        FriendRequest.find({ from: req.user.id }).populate('to', 'username').sort({ createdAt: -1 })
+      ])
+      res.status(200).json({
+        // Requests from or to users that no longer exist are left out.
+        incoming: incoming.filter(request => request.from)
+          .map(request => ({ username: request.from.username, createdAt: request.createdAt })),
+        outgoing: outgoing.filter(request => request.to)
+          .map(request => ({ username: request.to.username, createdAt: request.createdAt }))
+      })
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Sends a friend request to the user with the submitted username.
+   * If that user has already sent a request to the authenticated user, the request is accepted instead.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async sendFriendRequest (req, res, next) {
+    try {
+      if (!req.body.username) {
+        throw createError(400, 'Användarnamnet måste anges.')
+      }
+      const otherUser = await User.findOne({ username: req.body.username.trim().toLowerCase() })
+      if (!otherUser) {
+        throw createError(404, 'Användaren hittades inte.')
+      }
+      if (otherUser.id === req.user.id) {
+        throw createError(400, 'Du kan inte skicka en vänförfrågan till dig själv.')
+      }
+      if (otherUser.hasFriend(req.user.id)) {
+        throw createError(400, 'Ni är redan vänner.')
+      }
+
+      // If the other user has already sent a request, the two users become friends directly.
+      const reverseRequest = await FriendRequest.findOneAndDelete({ from: otherUser.id, to: req.user.id })
+      if (reverseRequest) {
+        await this.#addFriendship(req.user.id, otherUser.id)
+        res.status(200).json({ message: 'Friend request accepted.' })
+        return
+      }
+
+      await FriendRequest.create({ from: req.user.id, to: otherUser.id })
+      res.status(201).json({ message: 'Friend request sent.' })
+    } catch (error) {
+      if (error.message.includes('E11000 duplicate key error collection')) {
+        next(createError(400, 'Du har redan skickat en vänförfrågan till den här användaren.'))
+        return
+      }
+      next(error)
+    }
+  }
+
+  /**
+   * Accepts a friend request sent by the loaded user.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async acceptFriendRequest (req, res, next) {
+    try {
+      const request = await FriendRequest.findOneAndDelete({ from: req.otherUser.id, to: req.user.id })
+      if (!request) {
+        next(createError(404, 'Vänförfrågan hittades inte.'))
+        return
+      }
+      await this.#addFriendship(req.user.id, req.otherUser.id)
+      res.status(200).json({ message: 'Friend request accepted.' })
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Declines a friend request sent by the loaded user.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async declineFriendRequest (req, res, next) {
+    try {
+      const request = await FriendRequest.findOneAndDelete({ from: req.otherUser.id, to: req.user.id })
+      if (!request) {
+        next(createError(404, 'Vänförfrågan hittades inte.'))
+        return
+      }
+      res.status(204).send()
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Cancels a friend request sent by the authenticated user to the loaded user.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async cancelFriendRequest (req, res, next) {
+    try {
+      const request = await FriendRequest.findOneAndDelete({ from: req.user.id, to: req.otherUser.id })
+      if (!request) {
+        next(createError(404, 'Vänförfrågan hittades inte.'))
+        return
+      }
+      res.status(204).send()
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Removes the loaded user from the authenticated user's friends, and vice versa.
+   * The reservations that the users have made on each other's wishlists are cancelled.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async removeFriend (req, res, next) {
+    try {
+      if (!req.otherUser.hasFriend(req.user.id)) {
+        next(createError(404, 'Ni är inte vänner.'))
+        return
+      }
+      // The friends are removed with $pull, so that friends added or removed by other requests at the same time are kept.
+      await Promise.all([
+        User.updateOne({ _id: req.user.id }, { $pull: { friends: req.otherUser._id } }),
+        User.updateOne({ _id: req.otherUser._id }, { $pull: { friends: req.user.id } }),
+        WishlistItem.updateMany(
+          { $or: [{ owner: req.user.id, reservedBy: req.otherUser._id }, { owner: req.otherUser._id, reservedBy: req.user.id }] },
+          { reservedBy: null, reservedAt: null }
+        )
+      ])
+      res.status(204).send()
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Adds two users to each other's friends.
+   *
+   * @param {string} userId - The id of the first user.
+   * @param {string} otherUserId - The id of the second user.
+   */
+  async #addFriendship (userId, otherUserId) {
+    // The friends are added with $addToSet, so that a friend is never added twice, even by two requests at the same time.
+    await Promise.all([
+      User.updateOne({ _id: userId }, { $addToSet: { friends: otherUserId } }),
+      User.updateOne({ _id: otherUserId }, { $addToSet: { friends: userId } })
+    ])
+  }
+}
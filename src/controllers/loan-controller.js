@@ -0,0 +1,386 @@
+/**
+ * Module for the LoanController.
+ *
+ * @author Anja Willsund
+ * @version 1.0.0
+ */
+
+import createError from 'http-errors'
+import mongoose from 'mongoose'
+import { Loan } from '../models/loan.js'
+import { Puzzle } from '../models/puzzle.js'
+import { User } from '../models/user.js'
+import { can, getPuzzleRole } from '../utils/puzzle-policy.js'
+
+/**
+ * Encapsulates a controller.
+ */
+export class LoanController {
+  /**
+   * Loads a specific loan.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @param {string} id - The id of the loan to load.
+   */
+  async loadLoan (req, res, next, id) {
+    try {
+      // This error is added to handle the case when the id is not a valid ObjectId,
+      // which must be a string consisting of exactly 24 hexadecimal characters.
+      if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+        next(createError(400, 'Invalid id'))
+        return
+      }
+      const loan = await Loan.findOne({ _id: id })
+      if (!loan) {
+        next(createError(404, 'Loan not found'))
+        return
+      }
+      req.loan = loan
+
+      next()
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Requests to borrow a non-private puzzle of a friend.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async requestLoan (req, res, next) {
+    try {
+      const puzzleId = req.body.puzzleId
+      if (!puzzleId || !puzzleId.match(/^[0-9a-fA-F]{24}$/)) {
+        throw createError(400, 'Ett giltigt pussel måste anges.')
+      }
+      const puzzle = await Puzzle.findOne({ _id: puzzleId })
+      const role = puzzle && await getPuzzleRole(puzzle, req.user.id)
+      // Private puzzles and puzzles of users that are not friends are handled as if they did not exist.
+      if (!puzzle || !can(role, 'read')) {
+        throw createError(404, 'Puzzle not found')
+      }
+      // The owner can't borrow their own puzzle.
+      if (!can(role, 'borrow')) {
+        throw createError(403)
+      }
+      if (puzzle.isLentOut) {
+        throw createError(400, 'Pusslet är redan utlånat.')
+      }
+
+      const loan = await Loan.create({
+        puzzle: puzzle._id,
+        owner: puzzle.owner,
+        borrower: req.user.id
+      })
+      res.status(201).json({ message: 'Loan requested successfully.', id: loan.id })
+    } catch (error) {
+      if (error.message.includes('E11000 duplicate key error collection')) {
+        next(createError(400, 'Du har redan bett om att få låna det här pusslet.'))
+        return
+      }
+      next(error)
+    }
+  }
+
+  /**
+   * Gets all pending and active loans where the authenticated user is the owner or the borrower.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async getLoans (req, res, next) {
+    try {
+      const status = { $in: ['requested', 'active'] }
+      const [incoming, outgoing] = await Promise.all([
+        Loan.find({ owner: req.user.id, status }).sort({ createdAt: -1 })
+          .populate('puzzle', 'title').populate('owner', 'username').populate('borrower', 'username'),
+        Loan.find({ borrower: req.user.id, status }).sort({ createdAt: -1 })
+          .populate('puzzle', 'title').populate('owner', 'username').populate('borrower', 'username')
+      ])
+      res.status(200).json({
+        incoming: incoming.map(loan => this.#transformLoanData(loan)),
+        outgoing: outgoing.map(loan => this.#transformLoanData(loan))
+      })
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Approves a loan request and marks the puzzle as lent out to the borrower.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async approveLoan (req, res, next) {
+    try {
+      const loan = req.loan
+      this.#checkOwner(req, loan)
+      if (loan.status !== 'requested') {
+        throw createError(400, 'Endast förfrågningar som inte har besvarats kan godkännas.')
+      }
+      // The due date is parsed before anything is changed, so that an invalid date doesn't leave the puzzle lent out.
+      const dueDate = this.#parseDueDate(req.body.dueDate)
+      const [puzzle, borrower] = await Promise.all([
+        Puzzle.findOne({ _id: loan.puzzle }),
+        User.findById(loan.borrower)
+      ])
+      if (!puzzle || !borrower) {
+        throw createError(404, 'Puzzle not found')
+      }
+      if (puzzle.isLentOut) {
+        throw createError(400, 'Pusslet är redan utlånat.')
+      }
+
+      // The puzzle and the loan are changed in one transaction, so that the puzzle is never lent out without an active loan.
+      await mongoose.connection.transaction(async (session) => {
+        // The puzzle is only lent out if it is still not lent out, so that it can't be lent out by two approvals at the same time.
+        const { modifiedCount } = await Puzzle.updateOne(
+          { _id: puzzle._id, isLentOut: false },
+          {
+            isLentOut: true,
+            lentOutTo: borrower._id,
+            // The username is used as the name of the borrower, so that the puzzle is presented in the same way
+            // as puzzles lent out to people without an account.
+            lentOutToString: borrower.username
+          },
+          { session }
+        )
+        if (modifiedCount !== 1) {
+          throw createError(400, 'Pusslet är redan utlånat.')
+        }
+
+        const { modifiedCount: loanCount } = await Loan.updateOne(
+          { _id: loan._id, status: 'requested' },
+          { status: 'active', borrowerName: borrower.username, lentOutAt: new Date(), dueDate },
+          { session }
+        )
+        if (loanCount !== 1) {
+          throw createError(400, 'Endast förfrågningar som inte har besvarats kan godkännas.')
+        }
+
+        // The puzzle can only be lent out to one user, so all other requests for it are declined.
+        await Loan.updateMany({ puzzle: puzzle._id, status: 'requested' }, { status: 'declined' }, { session })
+      })
+
+      res.status(200).json({ message: 'Loan approved successfully.' })
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Declines a loan request.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async declineLoan (req, res, next) {
+    try {
+      const loan = req.loan
+      this.#checkOwner(req, loan)
+      if (loan.status !== 'requested') {
+        throw createError(400, 'Endast förfrågningar som inte har besvarats kan avböjas.')
+      }
+      loan.status = 'declined'
+      await loan.save()
+      res.status(200).json({ message: 'Loan declined successfully.' })
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Cancels a loan request made by the authenticated user.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async cancelLoan (req, res, next) {
+    try {
+      const loan = req.loan
+      if (loan.borrower?.toString() !== req.user.id) {
+        throw createError(403)
+      }
+      if (loan.status !== 'requested') {
+        throw createError(400, 'Endast förfrågningar som inte har besvarats kan återkallas.')
+      }
+      await Loan.deleteOne({ _id: loan._id })
+      res.status(204).send()
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Marks a lent out puzzle as returned. This can be done by both the owner and the borrower.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async returnLoan (req, res, next) {
+    try {
+      const loan = req.loan
+      if (loan.owner.toString() !== req.user.id && loan.borrower?.toString() !== req.user.id) {
+        throw createError(403)
+      }
+      if (loan.status !== 'active') {
+        throw createError(400, 'Pusslet är inte utlånat.')
+      }
+
+      // A puzzle only has one active loan, so the puzzle is lent out to the borrower of this loan.
+      const puzzle = await Puzzle.findOne({ _id: loan.puzzle })
+      if (puzzle && puzzle.isLentOut) {
+        puzzle.isLentOut = false
+        puzzle.lentOutTo = null
+        puzzle.lentOutToString = null
+        await puzzle.save()
+      }
+
+      loan.status = 'returned'
+      loan.returnedAt = new Date()
+      await loan.save()
+
+      res.status(200).json({ message: 'Loan returned successfully.' })
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Updates the due date of an active loan.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async updateLoan (req, res, next) {
+    try {
+      const loan = req.loan
+      this.#checkOwner(req, loan)
+      if (loan.status !== 'active') {
+        throw createError(400, 'Pusslet är inte utlånat.')
+      }
+      loan.dueDate = this.#parseDueDate(req.body.dueDate)
+      await loan.save()
+      res.status(200).json({ message: 'Loan updated successfully.' })
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Gets the loan history of a specific puzzle.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async getPuzzleLoans (req, res, next) {
+    try {
+      // Requests that were never approved are not part of the history, and neither are the loans of previous owners of swapped puzzles.
+      const loans = await Loan.find({ puzzle: req.puzzle._id, owner: req.puzzle.owner, status: { $in: ['active', 'returned'] } })
+        .sort({ lentOutAt: -1 })
+        .populate('borrower', 'username')
+      res.status(200).json(loans.map(loan => ({
+        id: loan.id,
+        status: loan.status,
+        borrower: loan.borrower?.username ?? loan.borrowerName,
+        isRegisteredUser: Boolean(loan.borrower),
+        lentOutAt: loan.lentOutAt,
+        dueDate: loan.dueDate,
+        returnedAt: loan.returnedAt
+      })))
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Gets all loans of the authenticated user's puzzles that have passed their due date.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async getOverdueLoans (req, res, next) {
+    try {
+      const now = new Date()
+      const loans = await Loan.find({ owner: req.user.id, status: 'active', dueDate: { $ne: null, $lt: now } })
+        .sort({ dueDate: 1 })
+        .populate('puzzle', 'title')
+        .populate('borrower', 'username')
+      const millisecondsPerDay = 1000 * 60 * 60 * 24
+      res.status(200).json(loans.map(loan => ({
+        id: loan.id,
+        puzzle: loan.puzzle ? { id: loan.puzzle.id, title: loan.puzzle.title } : null,
+        borrower: loan.borrower?.username ?? loan.borrowerName,
+        lentOutAt: loan.lentOutAt,
+        dueDate: loan.dueDate,
+        daysOverdue: Math.floor((now - loan.dueDate) / millisecondsPerDay)
+      })))
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Checks that the authenticated user is the owner of the puzzle of a loan.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} loan - The loan to check.
+   * @throws {Error} If the authenticated user is not the owner.
+   */
+  #checkOwner (req, loan) {
+    if (loan.owner.toString() !== req.user.id) {
+      throw createError(403)
+    }
+  }
+
+  /**
+   * Transforms the data of a loan to a format that can be sent as a response.
+   *
+   * @param {object} loan - The loan to transform, with the puzzle, owner and borrower populated.
+   * @returns {object} The transformed loan data.
+   */
+  #transformLoanData (loan) {
+    return {
+      id: loan.id,
+      status: loan.status,
+      puzzle: loan.puzzle ? { id: loan.puzzle.id, title: loan.puzzle.title } : null,
+      owner: loan.owner?.username ?? null,
+      borrower: loan.borrower?.username ?? loan.borrowerName ?? null,
+      createdAt: loan.createdAt,
+      lentOutAt: loan.lentOutAt,
+      dueDate: loan.dueDate
+    }
+  }
+
+  /**
+   * Parses a submitted due date.
+   *
+   * @param {string} value - The submitted due date.
+   * @returns {Date|null} The due date, or null if no due date was submitted.
+   * @throws {Error} If the submitted due date is not a valid date.
+   */
+  #parseDueDate (value) {
+    if (!value) {
+      return null
+    }
+    const dueDate = new Date(value)
+    if (isNaN(dueDate)) {
+      throw createError(400, 'Datumet är ogiltigt.')
+    }
+    return dueDate
+  }
+}
@@ -0,0 +1,259 @@
+/**
+ * Module for the LocationController.
+ *
+ * @author Anja Willsund
+ * @version 1.0.0
+ */
+
+import createError from 'http-errors'
+import mongoose from 'mongoose'
+import { LOCATION_PATH_SEPARATOR, Location } from '../models/location.js'
+import { Puzzle } from '../models/puzzle.js'
+
+/**
+ * Encapsulates a controller.
+ */
+export class LocationController {
+  /**
+   * Loads a specific location.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @param {string} id - The id of the location to load.
+   */
+  async loadLocation (req, res, next, id) {
+    try {
+      // This error is added to handle the case when the id is not a valid ObjectId,
+      // which must be a string consisting of exactly 24 hexadecimal characters.
+      if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+        next(createError(400, 'Invalid id'))
+        return
+      }
+      const location = await Location.findOne({ _id: id })
+      if (!location) {
+        next(createError(404, 'Location not found'))
+        return
+      }
+      req.location = location
+
+      next()
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Gets all locations of the authenticated user, sorted by their paths, with the number of puzzles directly in each location.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async getLocations (req, res, next) {
+    try {
+      const [locations, counts] = await Promise.all([
+        Location.find({ owner: req.user.id }),
+        Puzzle.aggregate([
+          { $match: { owner: new mongoose.Types.ObjectId(req.user.id), location: { $ne: null } } },
+          { $group: { _id: '$location', count: { $sum: 1 } } }
+        ])
+      ])
+      const names = new Map(locations.map(location => [location.id, location.name]))
+      const countsByLocation = new Map(counts.map(({ _id, count }) => [_id.toString(), count]))
+      const responseData = locations.map(location => ({
+        ...this.#transformLocationData(location),
+        path: [...location.ancestors.map(ancestor => names.get(ancestor.toString())), location.name].join(LOCATION_PATH_SEPARATOR),
+        puzzleCount: countsByLocation.get(location.id) ?? 0
+      }))
+      res.status(200).json(responseData.sort((a, b) => a.path.localeCompare(b.path, 'sv')))
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Gets the loaded location, with the locations directly inside it and all puzzles in it and in the locations inside it.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async getLocation (req, res, next) {
+    try {
+      const location = req.location
+      const [children, descendants] = await Promise.all([
+        Location.find({ parent: location._id }).sort({ name: 1 }).collation({ locale: 'sv' }),
+        Location.find({ ancestors: location._id }, '_id')
+      ])
+      const puzzles = await Puzzle.find(
+        { owner: location.owner, location: { $in: [location._id, ...descendants.map(descendant => descendant._id)] } },
+        'title piecesNumber location'
+      ).sort({ title: 1 }).collation({ locale: 'sv' })
+      const paths = await Location.getPaths([location._id, ...new Set(puzzles.map(puzzle => puzzle.location.toString()))])
+
+      res.status(200).json({
+        ...this.#transformLocationData(location),
+        path: paths.get(location.id).path,
+        children: children.map(child => this.#transformLocationData(child)),
+        puzzles: puzzles.map(puzzle => ({
+          id: puzzle.id,
+          title: puzzle.title,
+          piecesNumber: puzzle.piecesNumber ?? null,
+          location: paths.get(puzzle.location.toString()) ?? null,
+          imageUrl: `/my/puzzles/${puzzle.id}/image?size=thumbnail`
+        }))
+      })
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Adds a location, at the top of the hierarchy or inside another location.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async addLocation (req, res, next) {
+    try {
+      const parent = await this.#getParent(req.body.parent, req.user.id)
+      const location = await Location.create({
+        owner: req.user.id,
+        name: req.body.name,
+        ...(req.body.kind && { kind: req.body.kind }),
+        parent: parent?._id ?? null,
+        ancestors: parent ? [...parent.ancestors, parent._id] : []
+      })
+      res.status(201).json({ message: 'Location added successfully.', id: location.id })
+    } catch (error) {
+      this.#handleAddOrUpdateError(error, next)
+    }
+  }
+
+  /**
+   * Renames the loaded location, changes its kind or moves it, together with all locations and puzzles inside it,
+   * to another location. An empty parent moves the location to the top of the hierarchy.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async updateLocation (req, res, next) {
+    try {
+      const location = req.location
+      location.name = req.body.name ?? location.name
+      location.kind = req.body.kind || location.kind
+
+      const isMoved = req.body.parent !== undefined && String(req.body.parent ?? '') !== String(location.parent ?? '')
+      if (isMoved) {
+        const parent = await this.#getParent(req.body.parent, req.user.id)
+        if (parent && (parent._id.equals(location._id) || parent.ancestors.some(ancestor => ancestor.equals(location._id)))) {
+          throw createError(400, 'En plats kan inte flyttas in i sig själv.')
+        }
+        location.parent = parent?._id ?? null
+        location.ancestors = parent ? [...parent.ancestors, parent._id] : []
+      }
+
+      await location.save()
+      if (isMoved) {
+        // The locations inside the moved location keep their ancestors below it, but get its new ancestors above it.
+        const descendants = await Location.find({ ancestors: location._id }, 'ancestors')
+        if (descendants.length > 0) {
+          await Location.bulkWrite(descendants.map(descendant => ({
+            updateOne: {
+              filter: { _id: descendant._id },
+              update: {
+                $set: {
+                  ancestors: [
+                    ...location.ancestors,
+                    ...descendant.ancestors.slice(descendant.ancestors.findIndex(ancestor => ancestor.equals(location._id)))
+                  ]
+                }
+              }
+            }
+          })))
+        }
+      }
+      res.status(200).json({ message: 'Location updated successfully.' })
+    } catch (error) {
+      this.#handleAddOrUpdateError(error, next)
+    }
+  }
+
+  /**
+   * Deletes the loaded location. Only empty locations can be deleted, so that no puzzles lose their location by mistake.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async deleteLocation (req, res, next) {
+    try {
+      const [hasChildren, hasPuzzles] = await Promise.all([
+        Location.exists({ parent: req.location._id }),
+        Puzzle.exists({ location: req.location._id })
+      ])
+      if (hasChildren || hasPuzzles) {
+        throw createError(400, 'Platsen kan inte tas bort eftersom den innehåller pussel eller andra platser.')
+      }
+      await req.location.deleteOne()
+      res.status(204).send()
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Gets the submitted parent of a location.
+   *
+   * @param {string|null|undefined} parentId - The submitted id of the parent, or an empty value for no parent.
+   * @param {string} owner - The id of the authenticated user.
+   * @returns {Promise<object|null>} The parent, or null if no parent is submitted.
+   * @throws {Error} If the parent is not a location of the user.
+   */
+  async #getParent (parentId, owner) {
+    if (!parentId) {
+      return null
+    }
+    const parent = String(parentId).match(/^[0-9a-fA-F]{24}$/) && await Location.findOne({ _id: parentId, owner })
+    if (!parent) {
+      throw createError(400, 'Platsen som platsen ska ligga i finns inte.')
+    }
+    return parent
+  }
+
+  /**
+   * Transforms a location to the format that is sent as a response.
+   *
+   * @param {object} location - The location.
+   * @returns {object} The transformed location.
+   */
+  #transformLocationData (location) {
+    return {
+      id: location.id,
+      name: location.name,
+      kind: location.kind,
+      parent: location.parent ? location.parent.toString() : null
+    }
+  }
+
+  /**
+   * Handles errors when adding or updating a location.
+   *
+   * @param {Error} error - The error to handle.
+   * @param {Function} next - Express next middleware function.
+   */
+  #handleAddOrUpdateError (error, next) {
+    if (error.message.includes('E11000 duplicate key error collection')) {
+      next(createError(400, 'Det finns redan en plats med det namnet på samma ställe.'))
+    } else if (error.message.includes('Location validation failed')) {
+      error.status = 400
+      error.message = Object.values(error.errors).map(validationError => validationError.message)
+      next(error)
+    } else {
+      next(error)
+    }
+  }
+}
@@ -0,0 +1,214 @@
+/**
+ * Module for the MissingPieceController.
+ *
+ * @author Anja Willsund
+ * @version 1.0.0
+ */
+
+import createError from 'http-errors'
+
+/**
+ * Encapsulates a controller.
+ */
+export class MissingPieceController {
+  /**
+   * Loads a specific missing or damaged piece of the loaded puzzle.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @param {string} id - The id of the piece to load.
+   */
+  loadMissingPiece (req, res, next, id) {
+    try {
+      // This error is added to handle the case when the id is not a valid ObjectId,
+      // which must be a string consisting of exactly 24 hexadecimal characters.
+      if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+        next(createError(400, 'Invalid id'))
+        return
+      }
+      const piece = req.puzzle.missingPieces.id(id)
+      if (!piece) {
+        next(createError(404, 'Piece not found'))
+        return
+      }
+      req.missingPiece = piece
+
+      next()
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Gets all missing and damaged pieces of the loaded puzzle, together with the URL to the picture that the positions refer to.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async getMissingPieces (req, res, next) {
+    try {
+      const pieces = [...req.puzzle.missingPieces]
+        .sort((a, b) => b.noticedAt - a.noticedAt)
+        .map(piece => piece.toJSON())
+      res.status(200).json({
+        imageUrl: `/my/puzzles/${req.puzzle.id}/image`,
+        complete: req.puzzle.complete,
+        missingPiecesNumber: req.puzzle.missingPiecesNumber,
+        damagedPiecesNumber: pieces.filter(piece => piece.kind === 'damaged' && !piece.found).length,
+        foundPiecesNumber: pieces.filter(piece => piece.found).length,
+        pieces
+      })
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Adds a missing or damaged piece to the loaded puzzle.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async addMissingPiece (req, res, next) {
+    try {
+      const pieceInput = this.#updatePieceInput(req.body)
+      const piece = req.puzzle.missingPieces.create(pieceInput)
+      req.puzzle.missingPieces.push(piece)
+
+      await req.puzzle.save()
+      res.status(201).json({ message: 'Piece added successfully.', id: piece.id })
+    } catch (error) {
+      this.#handleAddOrUpdateError(error, next)
+    }
+  }
+
+  /**
+   * Updates a specific missing or damaged piece of the loaded puzzle.
+   * A piece is marked as found by submitting found, or the date when it was found.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async updateMissingPiece (req, res, next) {
+    try {
+      const pieceInput = this.#updatePieceInput(req.body)
+      if (req.body.foundAt !== undefined) {
+        pieceInput.foundAt = this.#parseDate(req.body.foundAt)
+      } else if (req.body.found !== undefined) {
+        const found = req.body.found === true || req.body.found === 'true'
+        // Keep the date if the piece has already been found.
+        pieceInput.foundAt = found ? req.missingPiece.foundAt || new Date() : null
+      }
+      req.missingPiece.set(pieceInput)
+
+      await req.puzzle.save()
+      res.status(200).json({ message: 'Piece updated successfully.' })
+    } catch (error) {
+      this.#handleAddOrUpdateError(error, next)
+    }
+  }
+
+  /**
+   * Deletes a specific missing or damaged piece of the loaded puzzle.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async deleteMissingPiece (req, res, next) {
+    try {
+      req.missingPiece.deleteOne()
+
+      await req.puzzle.save()
+      res.status(204).send()
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Handles errors when adding or updating a piece.
+   *
+   * @param {Error} error - The error to handle.
+   * @param {Function} next - Express next middleware function.
+   */
+  #handleAddOrUpdateError (error, next) {
+    if (error.message.includes('Puzzle validation failed')) {
+      const errors = []
+      // Loop through the error object and push the error messages to the errors array
+      for (const key in error.errors) {
+        // Check if the error object has the key, and skip the errors of the whole list, which repeat the errors of the piece.
+        if (Object.prototype.hasOwnProperty.call(error.errors, key) && key !== 'missingPieces') {
+          errors.push(error.errors[key].message)
+        }
+      }
+      error.status = 400
+      error.message = errors
+      next(error)
+    } else {
+      console.error('Error: ' + error.message)
+      next(error)
+    }
+  }
+
+  /**
+   * Updates the piece input.
+   *
+   * @param {object} body - The submitted piece.
+   * @returns {object} The updated piece input.
+   * @throws {Error} If a coordinate or the date is not valid.
+   */
+  #updatePieceInput (body) {
+    const pieceInput = {
+      kind: body.kind || 'missing',
+      x: this.#parseCoordinate(body.x),
+      y: this.#parseCoordinate(body.y),
+      description: body.description || ''
+    }
+    // The date when the piece was noticed defaults to now, so it is only changed if it is submitted.
+    const noticedAt = this.#parseDate(body.noticedAt)
+    if (noticedAt) {
+      pieceInput.noticedAt = noticedAt
+    }
+    return pieceInput
+  }
+
+  /**
+   * Parses a submitted coordinate.
+   *
+   * @param {string|number} value - The submitted coordinate.
+   * @returns {number|null} The coordinate, or null if no coordinate was submitted.
+   * @throws {Error} If the submitted coordinate is not a number.
+   */
+  #parseCoordinate (value) {
+    if (value === undefined || value === null || value === '') {
+      return null
+    }
+    if (isNaN(value)) {
+      throw createError(400, 'Koordinaterna måste vara tal mellan 0 och 1.')
+    }
+    return Number(value)
+  }
+
+  /**
+   * Parses a submitted date.
+   *
+   * @param {string} value - The submitted date.
+   * @returns {Date|null} The date, or null if no date was submitted.
+   * @throws {Error} If the submitted date is not a valid date.
+   */
+  #parseDate (value) {
+    if (!value) {
+      return null
+    }
+    const date = new Date(value)
+    if (isNaN(date)) {
+      throw createError(400, 'Datumet är ogiltigt.')
+    }
+    return date
+  }
+}
@@ -0,0 +1,349 @@
+/**
+ * Module for the PhotoController.
+ *
+ * @author Anja Willsund
+ * @version 1.0.0
+ */
+
+import crypto from 'crypto'
+import fs from 'fs/promises'
+import createError from 'http-errors'
+import mongoose from 'mongoose'
+import { PuzzleImage } from '../models/puzzle-image.js'
+import { IMAGE_SIZES, createImageVariants, getImageUrls } from '../utils/image-processing.js'
+
+// The placeholder image that is served for puzzles without an image.
+const NULL_IMAGE_PATH = new URL('../assets/images/null-puzzle.png', import.meta.url)
+
+/**
+ * Encapsulates a controller.
+ */
+export class PhotoController {
+  /**
+   * The placeholder image, which is read from disk the first time it is needed.
+   *
+   * @type {Promise<Buffer>}
+   */
+  static #nullImage
+
+  /**
+   * Loads a specific photo of the loaded puzzle.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @param {string} id - The id of the photo to load.
+   */
+  loadPhoto (req, res, next, id) {
+    try {
+      // This error is added to handle the case when the id is not a valid ObjectId,
+      // which must be a string consisting of exactly 24 hexadecimal characters.
+      if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+        next(createError(400, 'Invalid id'))
+        return
+      }
+      const photo = req.puzzle.photos.id(id)
+      if (!photo) {
+        next(createError(404, 'Photo not found'))
+        return
+      }
+      req.photo = photo
+
+      next()
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Gets all photos of the loaded puzzle, in order.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async getPhotos (req, res, next) {
+    try {
+      const photosUrl = `/my/puzzles/${req.puzzle.id}/photos`
+      res.status(200).json(req.puzzle.photos.map(photo => ({
+        ...photo.toJSON(),
+        isCover: photo._id.equals(req.puzzle.coverPhoto),
+        imageUrl: `${photosUrl}/${photo.id}/image`,
+        imageUrls: getImageUrls(`${photosUrl}/${photo.id}/image`)
+      })))
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Adds a photo to the loaded puzzle.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async addPhoto (req, res, next) {
+    try {
+      if (!req.file) {
+        throw createError(400, 'En bild måste laddas upp.')
+      }
+      const puzzle = req.puzzle
+      puzzle.photos.push({ type: req.body.type || undefined, caption: req.body.caption || '' })
+      const photo = puzzle.photos[puzzle.photos.length - 1]
+      // The first photo becomes the cover photo, unless the puzzle has an image from before puzzles had photos.
+      const hasOldImage = puzzle.image || await PuzzleImage.exists({ puzzle: puzzle._id, photo: null })
+      if (req.body.isCover === 'true' || req.body.isCover === true || (!puzzle.coverPhoto && !hasOldImage)) {
+        puzzle.coverPhoto = photo._id
+      }
+      // The photo is validated before the variants are created, so that an invalid photo is rejected without processing the image.
+      await puzzle.validate()
+      const imageVariants = await createImageVariants(req.file.buffer)
+
+      // The photo and its image are saved in one transaction, so that a photo is never saved without its image.
+      await mongoose.connection.transaction(async (session) => {
+        await puzzle.save({ session })
+        await PuzzleImage.replaceVariants(puzzle, photo._id, imageVariants, session)
+      })
+      res.status(201).json({ message: 'Photo added successfully.', id: photo.id })
+    } catch (error) {
+      this.#handleAddOrUpdateError(error, next)
+    }
+  }
+
+  /**
+   * Updates the type and caption of a specific photo.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async updatePhoto (req, res, next) {
+    try {
+      req.photo.type = req.body.type || req.photo.type
+      req.photo.caption = req.body.caption || ''
+
+      await req.puzzle.save()
+      res.status(200).json({ message: 'Photo updated successfully.' })
+    } catch (error) {
+      this.#handleAddOrUpdateError(error, next)
+    }
+  }
+
+  /**
+   * Deletes a specific photo. If the photo is the cover photo, the first remaining photo becomes the cover photo.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async deletePhoto (req, res, next) {
+    try {
+      const puzzle = req.puzzle
+      const photoId = req.photo._id
+      req.photo.deleteOne()
+      if (photoId.equals(puzzle.coverPhoto)) {
+        puzzle.coverPhoto = puzzle.photos[0]?._id ?? null
+      }
+
+      await puzzle.save()
+      await PuzzleImage.deleteMany({ puzzle: puzzle._id, photo: photoId })
+      res.status(204).send()
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Changes the order of the photos of the loaded puzzle.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async reorderPhotos (req, res, next) {
+    try {
+      const puzzle = req.puzzle
+      const photoIds = req.body.photoIds
+      // The submitted ids must contain every photo of the puzzle exactly once.
+      if (!Array.isArray(photoIds) ||
+        photoIds.length !== puzzle.photos.length ||
+        new Set(photoIds).size !== photoIds.length ||
+        !photoIds.every(id => typeof id === 'string' && puzzle.photos.id(id))) {
+        throw createError(400, 'Ordningen måste innehålla alla foton för pusslet exakt en gång.')
+      }
+
+      const photos = photoIds.map(id => puzzle.photos.id(id).toObject())
+      puzzle.photos = photos
+
+      await puzzle.save()
+      res.status(200).json({ message: 'Photos reordered successfully.' })
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Makes a specific photo the cover photo of the loaded puzzle.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async setCoverPhoto (req, res, next) {
+    try {
+      req.puzzle.coverPhoto = req.photo._id
+
+      await req.puzzle.save()
+      res.status(200).json({ message: 'Cover photo updated successfully.' })
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Sends the cover image of the loaded puzzle.
+   * The size is chosen with the size query parameter, and the format with the Accept header.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async getCoverImage (req, res, next) {
+    try {
+      await this.#sendImage(req, res, req.puzzle, req.puzzle.coverPhoto)
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Sends the image of a specific photo.
+   * The size is chosen with the size query parameter, and the format with the Accept header.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async getPhotoImage (req, res, next) {
+    try {
+      await this.#sendImage(req, res, req.puzzle, req.photo._id)
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Sends an image of a puzzle in the requested size and the best format that the client accepts.
+   * If the puzzle has no cover photo, the image saved before puzzles had photos is sent.
+   * The placeholder image is sent if there is no image.
+   * The response can be cached by the client, which must revalidate it with the ETag.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {object} puzzle - The puzzle to send the image of.
+   * @param {object|null} photoId - The id of the photo to send, or null if the puzzle has no photos.
+   */
+  async #sendImage (req, res, puzzle, photoId) {
+    const size = req.query.size || 'medium'
+    if (!Object.prototype.hasOwnProperty.call(IMAGE_SIZES, size)) {
+      throw createError(400, `Storleken måste vara en av följande: ${Object.keys(IMAGE_SIZES).join(', ')}.`)
+    }
+    const format = this.#negotiateImageFormat(req)
+
+    let variant
+    if (size === 'original') {
+      // The original is only saved in one format. Images saved before the originals were kept are sent in the large size.
+      variant = await PuzzleImage.findOne({ puzzle: puzzle._id, photo: photoId, size })
+    }
+    variant ??= await PuzzleImage.findOne({ puzzle: puzzle._id, photo: photoId, size: size === 'original' ? 'large' : size, format })
+    let imageData, contentType, etag
+    if (variant) {
+      imageData = variant.data
+      contentType = `image/${variant.format}`
+      etag = variant.etag
+    } else {
+      // Images saved before the image variants existed are only saved as PNG, which is sent for every size.
+      imageData = (!photoId && puzzle.image) || await this.#getNullImage()
+      contentType = 'image/png'
+      etag = `"${crypto.createHash('sha1').update(imageData).digest('hex')}"`
+    }
+
+    res.set({
+      'Content-Type': contentType,
+      ETag: etag,
+      'Cache-Control': 'private, no-cache',
+      // The format depends on the Accept header, so caches must store one response per Accept header.
+      Vary: 'Accept'
+    })
+    // Respond with 304 Not Modified if the client already has the current image.
+    if (req.fresh) {
+      res.status(304).end()
+      return
+    }
+    res.status(200).send(imageData)
+  }
+
+  /**
+   * Chooses the best image format that the client accepts.
+   * AVIF and WebP are only chosen if the client explicitly accepts them, since a wildcard does not mean that they can be displayed.
+   *
+   * @param {object} req - Express request object.
+   * @returns {string} The image format.
+   */
+  #negotiateImageFormat (req) {
+    const accept = req.get('Accept') || ''
+    for (const format of ['avif', 'webp']) {
+      if (accept.includes(`image/${format}`) && req.accepts(`image/${format}`)) {
+        return format
+      }
+    }
+    return 'png'
+  }
+
+  /**
+   * Gets the placeholder image, which is only read from disk once.
+   *
+   * @returns {Promise<Buffer>} The placeholder image.
+   */
+  #getNullImage () {
+    if (!PhotoController.#nullImage) {
+      PhotoController.#nullImage = fs.readFile(NULL_IMAGE_PATH)
+        .catch(error => {
+          // Read the file again the next time, if it could not be read.
+          PhotoController.#nullImage = null
+          throw error
+        })
+    }
+    return PhotoController.#nullImage
+  }
+
+  /**
+   * Handles errors when adding or updating a photo.
+   *
+   * @param {Error} error - The error to handle.
+   * @param {Function} next - Express next middleware function.
+   */
+  #handleAddOrUpdateError (error, next) {
+    if (error.message.includes('Puzzle validation failed')) {
+      const errors = []
+      // Loop through the error object and push the error messages to the errors array
+      for (const key in error.errors) {
+        // Check if the error object has the key
+        if (Object.prototype.hasOwnProperty.call(error.errors, key)) {
+          errors.push(error.errors[key].message)
+        }
+      }
+      error.status = 400
+      error.message = errors
+      next(error)
+    } else if (error.message.includes('unsupported image format')) {
+      error.message = 'Filen är inte en giltig bild.'
+      error.status = 400
+      next(error)
+    } else {
+      console.error('Error: ' + error.message)
+      next(error)
+    }
+  }
+}
@@ -5,11 +5,45 @@
  * @version 1.0.0
  */
 
-import crypto from 'crypto'
 import createError from 'http-errors'
-import sharp from 'sharp'
+import mongoose from 'mongoose'
 import { Puzzle } from '../models/puzzle.js'
-import fs from 'fs'
+import { PuzzleImage } from '../models/puzzle-image.js'
+import { Loan } from '../models/loan.js'
+import { CatalogEntry } from '../models/catalog-entry.js'
+import { Location, MAX_LOCATION_NAME_LENGTH } from '../models/location.js'
+import { MAX_SHELF_NAME_LENGTH, Shelf } from '../models/shelf.js'
+import { SwapProposal } from '../models/swap-proposal.js'
+import { MAX_TAG_NAME_LENGTH, NAME_COLLATION, Tag } from '../models/tag.js'
+import { parseCsv } from '../utils/csv.js'
+import { normalizeEan } from '../utils/ean.js'
+import { decrypt } from '../utils/encryption.js'
+import { createImageVariants, getImageUrls } from '../utils/image-processing.js'
+import { parseLocationPath, parseNameList } from '../utils/name-list.js'
+import { EXPORT_FIELDS } from '../utils/puzzle-export.js'
+import { redactPuzzle } from '../utils/puzzle-policy.js'
+
+// The fields that the list of puzzles can be sorted by.
+const SORTABLE_FIELDS = [
+  'title',
+  'piecesNumber',
+  'sizeHeight',
+  'sizeWidth',
+  'manufacturer',
+  'lastPlayed',
+  'complete',
+  'missingPiecesNumber',
+  'isPrivate',
+  'isLentOut',
+  'createdAt',
+  'updatedAt'
+]
+
+// The maximum number of puzzles that can be fetched per page.
+const MAX_PAGE_SIZE = 100
+
+// The maximum number of puzzles that can be imported at once.
+const MAX_IMPORT_ROWS = 1000
 
 /**
  * Encapsulates a controller.
@@ -24,36 +58,102 @@ export class PuzzleController {
    */
   async addPuzzle (req, res, next) {
     try {
-      const puzzleInput = await this.#updatePuzzleInput(req)
-
-      const puzzle = new Puzzle({
-        title: puzzleInput.title,
-        // Adds the piecesNumber, sizeHeight, sizeWidth, manufacturer, location and missingPiecesNumber property only if it is present in the request body
-        ...(puzzleInput.piecesNumber && { piecesNumber: puzzleInput.piecesNumber }),
-        ...(puzzleInput.sizeHeight && { sizeHeight: puzzleInput.sizeHeight }),
-        ...(puzzleInput.sizeWidth && { sizeWidth: puzzleInput.sizeWidth }),
-        ...(puzzleInput.manufacturer && { manufacturer: puzzleInput.manufacturer }),
-        lastPlayed: puzzleInput.lastPlayed,
-        ...(puzzleInput.location && { location: puzzleInput.location }),
-        complete: puzzleInput.complete,
-        ...(puzzleInput.missingPiecesNumber && { missingPiecesNumber: puzzleInput.missingPiecesNumber }),
-        privateNote: puzzleInput.privateNote,
-        sharedNote: puzzleInput.sharedNote,
-        isLentOut: puzzleInput.isLentOut,
-        // ...(puzzleInput.lentOutTo && { lentOutTo: puzzleInput.lentOutTo }),
-        ...(puzzleInput.lentOutToString && { lentOutToString: puzzleInput.lentOutToString }),
-        isPrivate: puzzleInput.isPrivate,
-        image: puzzleInput.imageBinary,
-        owner: req.user.id
-      })
-
-      await puzzle.save()
+      await this.#savePuzzle(req.body, req.file, req.user.id)
       res.status(201).json({ message: 'Puzzle added successfully.' })
     } catch (error) {
       this.#handleAddOrUpdateError(error, next)
     }
   }
 
+  /**
+   * Adds a puzzle from the loaded wishlist item, when the user has got the puzzle, and removes the item from the wishlist.
+   * The title, manufacturer and number of pieces of the item are used unless other values are submitted,
+   * and the puzzle is validated in the same way as when a puzzle is added.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async addWishlistPuzzle (req, res, next) {
+    try {
+      const item = req.wishlistItem
+      const body = {
+        title: item.title,
+        manufacturer: item.manufacturer,
+        piecesNumber: item.piecesNumber ? String(item.piecesNumber) : '',
+        ...req.body
+      }
+      const puzzle = await this.#savePuzzle(body, req.file, req.user.id)
+      await item.deleteOne()
+      res.status(201).json({ message: 'Puzzle added successfully.', id: puzzle.id })
+    } catch (error) {
+      this.#handleAddOrUpdateError(error, next)
+    }
+  }
+
+  /**
+   * Imports puzzles from an uploaded CSV or JSON file, or from the puzzles array of a JSON body.
+   * Every row is validated with the same rules as when a puzzle is added. Empty rows and puzzles that
+   * already are in the collection, with the same title, manufacturer and number of pieces, are skipped.
+   * Nothing is saved in a dry run, so the report shows what would happen if the puzzles were imported.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async importPuzzles (req, res, next) {
+    try {
+      const rows = this.#parseImportFile(req)
+      const dryRun = String(req.query.dryRun ?? req.body.dryRun) === 'true'
+
+      const existingPuzzles = await Puzzle.find({ owner: req.user.id }, 'title manufacturer piecesNumber')
+      const puzzleKeys = new Set(existingPuzzles.map(puzzle => this.#getDuplicateKey(puzzle)))
+
+      const report = { dryRun, created: 0, skipped: 0, failed: 0, rows: [] }
+      for (const { rowNumber, data } of rows) {
+        const row = this.#normalizeImportRow(data)
+        const result = { row: rowNumber, title: row.title || null }
+        try {
+          if (Object.values(row).every(value => value === undefined || value === '')) {
+            Object.assign(result, { status: 'skipped', reason: 'Raden är tom.' })
+          } else {
+            const puzzleInput = this.#validatePuzzleInput(row)
+            const puzzle = this.#createPuzzle(puzzleInput, req.user.id)
+            const puzzleKey = this.#getDuplicateKey(puzzle)
+            if (puzzleKeys.has(puzzleKey)) {
+              Object.assign(result, { status: 'skipped', reason: 'Pusslet finns redan i samlingen.' })
+            } else {
+              await puzzle.validate()
+              // Tags, shelves and locations that don't exist are only created when the puzzles are imported.
+              if (!dryRun) {
+                await this.#setReferences(puzzle, puzzleInput)
+                await puzzle.save()
+                if (puzzle.isLentOut) {
+                  await this.#updateLoanHistory(puzzle, true, puzzleInput.lentOutDueDate)
+                }
+                await this.#addToCatalog(puzzle, null, {})
+                result.id = puzzle.id
+              }
+              puzzleKeys.add(puzzleKey)
+              result.status = 'created'
+            }
+          }
+        } catch (error) {
+          const errors = this.#getValidationErrors(error)
+          if (!errors) {
+            throw error
+          }
+          Object.assign(result, { status: 'failed', errors })
+        }
+        report[result.status]++
+        report.rows.push(result)
+      }
+      res.status(dryRun ? 200 : 201).json(report)
+    } catch (error) {
+      next(error)
+    }
+  }
+
   /**
    * Gets a specific puzzle.
    *
@@ -84,7 +184,7 @@ export class PuzzleController {
   }
 
   /**
-   * Gets a specific puzzle by id.
+   * Gets a specific puzzle by id. Users other than the owner only get the fields that the puzzle policy allows them to see.
    *
    * @param {object} req - Express request object.
    * @param {object} res - Express response object.
@@ -93,7 +193,9 @@ export class PuzzleController {
   async getPuzzle (req, res, next) {
     try {
       const puzzle = req.puzzle
-      const responseData = await this.#transformPuzzleData(puzzle)
+      const responseData = req.puzzleRole === 'owner'
+        ? await this.#transformPuzzleData(puzzle)
+        : this.#transformSharedPuzzleData(puzzle, `/my/puzzles/${puzzle.id}`, req.puzzleRole)
       res.status(200).json(responseData)
     } catch (error) {
       next(error)
@@ -102,6 +204,8 @@ export class PuzzleController {
 
   /**
    * Gets all puzzles for the authenticated user.
+   * The puzzles can be searched, filtered, sorted and paginated with query parameters.
+   * The total number of matching puzzles is sent in the X-Total-Count header.
    *
    * @param {object} req - Express request object.
    * @param {object} res - Express response object.
@@ -109,26 +213,109 @@ export class PuzzleController {
    */
   async getAllPuzzles (req, res, next) {
     try {
-      // Find all puzzles for the authenticated user and exclude the owner, createdAt, updatedAt and __v fields
-      const puzzles = await Puzzle.find({ owner: req.user.id }, '_id -owner -createdAt -updatedAt -__v')
+      const filter = await this.#buildPuzzleFilter(req.query, req.user.id)
+      const sort = this.#buildPuzzleSort(req.query)
+      const { skip, limit } = this.#parsePagination(req.query)
+
+      // Find all matching puzzles for the authenticated user and exclude the image, photos, owner, sessions, missing pieces, createdAt, updatedAt and __v fields
+      const query = Puzzle.find(filter, '_id -image -photos -owner -sessions -missingPieces -createdAt -updatedAt -__v')
+        .populate('tags', 'name color')
+        .populate('shelves', 'name')
+        .sort(sort)
+        .skip(skip)
+      if (limit) {
+        query.limit(limit)
+      }
+      // Sort text in Swedish alphabetical order. Text searches do not support collations.
+      if (!filter.$text) {
+        query.collation({ locale: 'sv' })
+      }
+      const [puzzles, total] = await Promise.all([query, Puzzle.countDocuments(filter)])
       if (!puzzles) {
         next(createError(404, 'No puzzles found'))
         return
       }
-      const updatedPuzzles = puzzles.map(puzzle => {
-        if (puzzle.image === null) {
-          return { ...puzzle.toObject() }
-        }
-        const imageBase64 = puzzle.image.toString('base64')
-        // Return the puzzle data and the image as a base64 string, prefixed with the data URL scheme
-        return { ...puzzle.toObject(), imageUrl: `data:image/png;base64,${imageBase64}` }
-      })
+      // The images are served from a separate endpoint, so only the URL to the image is included
+      const locations = await Location.getPaths(puzzles.map(puzzle => puzzle.location).filter(Boolean))
+      const updatedPuzzles = puzzles.map(puzzle => ({
+        ...puzzle.toObject(),
+        ...this.#transformTagsAndShelves(puzzle),
+        location: puzzle.location ? locations.get(puzzle.location.toString()) ?? null : null,
+        imageUrl: `/my/puzzles/${puzzle.id}/image?size=thumbnail`
+      }))
+      res.set('X-Total-Count', total)
       res.status(200).json(updatedPuzzles)
     } catch (error) {
       next(error)
     }
   }
 
+  /**
+   * Gets all non-private puzzles of the loaded user.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async getSharedPuzzles (req, res, next) {
+    try {
+      const puzzles = await Puzzle.find({ owner: req.otherUser.id, isPrivate: false }, '-image').sort({ title: 1 })
+      const responseData = puzzles.map(puzzle => this.#transformSharedPuzzleData(puzzle, `/my/friends/${req.otherUser.username}/puzzles/${puzzle.id}`, 'friend'))
+      res.status(200).json(responseData)
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Gets the puzzles of all other users that are available for swap, with the username of the owner.
+   * The puzzles can be filtered on the number of pieces and the manufacturer, and are sorted by title.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async getSwappablePuzzles (req, res, next) {
+    try {
+      const filter = { owner: { $ne: req.user.id }, availableForSwap: true, isPrivate: false }
+      this.#addPiecesAndManufacturerFilter(filter, req.query)
+      const { skip, limit } = this.#parsePagination(req.query)
+
+      const query = Puzzle.find(filter, '-image -sessions -missingPieces')
+        .populate('owner', 'username')
+        .sort({ title: 1, _id: 1 })
+        .skip(skip)
+      if (limit) {
+        query.limit(limit)
+      }
+      const [puzzles, total] = await Promise.all([query, Puzzle.countDocuments(filter)])
+      const responseData = puzzles.map(puzzle => ({
+        ...this.#transformSharedPuzzleData(puzzle, `/my/puzzles/${puzzle.id}`, 'swapper'),
+        owner: puzzle.owner?.username ?? null
+      }))
+      res.set('X-Total-Count', total)
+      res.status(200).json(responseData)
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Gets a specific non-private puzzle of the loaded user.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async getSharedPuzzle (req, res, next) {
+    try {
+      const responseData = this.#transformSharedPuzzleData(req.puzzle, `/my/friends/${req.otherUser.username}/puzzles/${req.puzzle.id}`, req.puzzleRole)
+      res.status(200).json(responseData)
+    } catch (error) {
+      next(error)
+    }
+  }
+
   /**
    * Updates a specific puzzle by id.
    *
@@ -139,7 +326,7 @@ export class PuzzleController {
   async updatePuzzle (req, res, next) {
     try {
       // Update the puzzle input
-      const puzzleInput = await this.#updatePuzzleInput(req)
+      const puzzleInput = this.#validatePuzzleInput(req.body)
 
       const puzzle = req.puzzle
       puzzle.title = puzzleInput.title || puzzle.title
@@ -147,18 +334,48 @@ export class PuzzleController {
       puzzle.sizeHeight = puzzleInput.sizeHeight || ''
       puzzle.sizeWidth = puzzleInput.sizeWidth || ''
       puzzle.manufacturer = puzzleInput.manufacturer || ''
-      puzzle.lastPlayed = puzzleInput.lastPlayed || ''
-      puzzle.location = puzzleInput.location || ''
-      puzzle.complete = puzzleInput.complete
-      puzzle.missingPiecesNumber = puzzleInput.missingPiecesNumber || null
+      puzzle.ean = puzzleInput.ean || null
+      // The submitted date is the date entered manually. The date when the puzzle was last played is derived from it and the sessions.
+      puzzle.lastPlayedManually = puzzleInput.lastPlayed || null
+      // The missing pieces are only changed if the number of missing pieces, or whether the puzzle is complete, is submitted.
+      if (puzzleInput.complete !== undefined || puzzleInput.missingPiecesNumber !== undefined) {
+        puzzle.setMissingPiecesNumber(Number(puzzleInput.missingPiecesNumber) || 0)
+      }
       puzzle.privateNote = puzzleInput.privateNote || ''
       puzzle.sharedNote = puzzleInput.sharedNote || ''
       puzzle.isPrivate = puzzleInput.isPrivate
+      if (puzzleInput.availableForSwap !== undefined) {
+        puzzle.availableForSwap = puzzleInput.availableForSwap
+      }
       puzzle.isLentOut = puzzleInput.isLentOut
       !puzzle.isLentOut ? puzzle.lentOutToString = null : puzzle.lentOutToString = puzzleInput.lentOutToString || puzzle.lentOutToString
-      puzzle.image = puzzleInput.imageBinary || puzzle.image
+      const imageVariants = await this.#createValidatedImageVariants(puzzle, req.file)
+      await this.#setReferences(puzzle, puzzleInput)
+      // The uploaded image replaces the cover photo. If the puzzle has no cover photo,
+      // the image is added as the front of the box and replaces the image saved before puzzles had photos.
+      if (imageVariants && !puzzle.coverPhoto) {
+        puzzle.photos.push({ type: 'boxFront' })
+        puzzle.coverPhoto = puzzle.photos[puzzle.photos.length - 1]._id
+        puzzle.image = null
+      }
 
-      await puzzle.save()
+      // If the puzzle is returned or lent out to someone else, the current loan is ended.
+      const isNewLoan = puzzle.isModified('isLentOut') || puzzle.isModified('lentOutToString')
+      if (isNewLoan) {
+        puzzle.lentOutTo = null
+      }
+
+      // The puzzle and the image are saved in one transaction, so that a puzzle is never saved without its image.
+      await mongoose.connection.transaction(async (session) => {
+        await puzzle.save({ session })
+        if (imageVariants) {
+          await PuzzleImage.replaceVariants(puzzle, puzzle.coverPhoto, imageVariants, session)
+          // Remove the image saved before puzzles had photos, if there is one.
+          await PuzzleImage.deleteMany({ puzzle: puzzle._id, photo: null }, { session })
+        }
+      })
+      await this.#updateLoanHistory(puzzle, isNewLoan, puzzleInput.lentOutDueDate)
+      await this.#addToCatalog(puzzle, imageVariants, req.body)
       res.status(200).json({ message: 'Puzzle updated successfully.' })
     } catch (error) {
       this.#handleAddOrUpdateError(error, next)
@@ -176,6 +393,15 @@ export class PuzzleController {
     try {
       const puzzle = await Puzzle.deleteOne({ _id: req.puzzle.id.toString() })
       if (puzzle.deletedCount === 1) {
+        await Promise.all([
+          PuzzleImage.deleteMany({ puzzle: req.puzzle._id }),
+          Loan.deleteMany({ puzzle: req.puzzle._id }),
+          // The puzzle can no longer be swapped.
+          SwapProposal.updateMany(
+            { status: 'pending', $or: [{ offeredPuzzles: req.puzzle._id }, { requestedPuzzles: req.puzzle._id }] },
+            { status: 'expired', respondedAt: new Date() }
+          )
+        ])
         req.message = 'Puzzle was deleted successfully.'
       } else {
         throw new Error('An unknown error occured. Please try again.')
@@ -194,19 +420,16 @@ export class PuzzleController {
    */
   async #transformPuzzleData (puzzle) {
     let responseData = {}
-    let imageBase64
-    if (puzzle.image !== null) {
-      imageBase64 = puzzle.image.toString('base64')
-    } else {
-      // If the image is null, use a placeholder image
-      const nullImage = './src/assets/images/null-puzzle.png'
-      imageBase64 = await this.#convertImageToBase64(nullImage)
-    }
+    await puzzle.populate([{ path: 'tags', select: 'name color' }, { path: 'shelves', select: 'name' }])
     const { _id, image, createdAt, updatedAt, __v, ...puzzleData } = puzzle.toJSON()
     responseData = {
       ...puzzleData,
+      ...this.#transformTagsAndShelves(puzzle),
+      location: puzzle.location ? (await Location.getPaths([puzzle.location])).get(puzzle.location.toString()) ?? null : null,
       id: _id.toString(),
-      imageUrl: `data:image/png;base64,${imageBase64}`
+      imageUrl: `/my/puzzles/${_id}/image`,
+      imageUrls: getImageUrls(`/my/puzzles/${_id}/image`),
+      photos: this.#transformPhotoData(puzzle, `/my/puzzles/${_id}/photos`)
     }
     if (puzzle.privateNote) {
       responseData.privateNote = this.#decryptPrivateNote(puzzle.privateNote)
@@ -216,52 +439,272 @@ export class PuzzleController {
       // Adjust the date format to YYYY-MM-DD
       responseData.lastPlayed = lastPlayed.toISOString().slice(0, 10)
     }
+    if (puzzle.lastPlayedManually) {
+      responseData.lastPlayedManually = puzzle.lastPlayedManually.toISOString().slice(0, 10)
+    }
+    if (puzzle.isLentOut) {
+      const loan = await Loan.findOne({ puzzle: puzzle._id, status: 'active' })
+      // Adjust the date format to YYYY-MM-DD
+      responseData.lentOutDueDate = loan?.dueDate ? loan.dueDate.toISOString().slice(0, 10) : null
+    }
     return responseData
   }
 
   /**
-   * Decrypts a private note.
+   * Builds the database filter for the list of puzzles from the query parameters.
+   *
+   * @param {object} query - The query parameters of the request.
+   * @param {string} owner - The id of the owner of the puzzles.
+   * @returns {Promise<object>} The filter.
+   * @throws {Error} If a query parameter is not valid.
+   */
+  async #buildPuzzleFilter (query, owner) {
+    const filter = { owner }
+
+    // Full-text search on the title, manufacturer and shared note.
+    if (query.search) {
+      filter.$text = { $search: String(query.search) }
+    }
+
+    this.#addPiecesAndManufacturerFilter(filter, query)
+
+    for (const field of ['complete', 'isLentOut', 'isPrivate', 'availableForSwap']) {
+      if (query[field] !== undefined) {
+        if (query[field] !== 'true' && query[field] !== 'false') {
+          throw createError(400, `Värdet för "${field}" måste vara true eller false.`)
+        }
+        filter[field] = query[field] === 'true'
+      }
+    }
+
+    // Puzzles in the location and in all locations inside it.
+    if (query.location) {
+      if (!String(query.location).match(/^[0-9a-fA-F]{24}$/)) {
+        throw createError(400, 'Invalid id')
+      }
+      const locations = await Location.find({ owner, $or: [{ _id: query.location }, { ancestors: query.location }] }, '_id')
+      filter.location = { $in: locations.map(location => location._id) }
+    }
+
+    if (query.ean) {
+      filter.ean = normalizeEan(query.ean)
+    }
+
+    // The puzzles must have all the tags in the comma-separated list, and be on the shelf.
+    // No puzzles match a tag or shelf that doesn't exist.
+    const tagNames = query.tag ? parseNameList(query.tag) : []
+    if (tagNames.length) {
+      const tags = await Tag.find({ owner, name: { $in: tagNames } }, '_id').collation(NAME_COLLATION)
+      filter.tags = tags.length === tagNames.length ? { $all: tags.map(tag => tag._id) } : { $in: [] }
+    }
+    if (query.shelf) {
+      const shelf = await Shelf.findOne({ owner, name: String(query.shelf).trim() }, '_id').collation(NAME_COLLATION)
+      filter.shelves = shelf ? shelf._id : { $in: [] }
+    }
+
+    const playedBefore = this.#parseDateParameter(query.playedBefore)
+    const playedAfter = this.#parseDateParameter(query.playedAfter)
+    if (playedBefore || playedAfter) {
+      filter.lastPlayed = {
+        ...(playedBefore && { $lt: playedBefore }),
+        ...(playedAfter && { $gt: playedAfter })
+      }
+    }
+
+    return filter
+  }
+
+  /**
+   * Adds the filters on the number of pieces and the manufacturer to a database filter, from the query parameters.
+   *
+   * @param {object} filter - The filter.
+   * @param {object} query - The query parameters of the request.
+   * @throws {Error} If the number of pieces is not a number.
+   */
+  #addPiecesAndManufacturerFilter (filter, query) {
+    const minPieces = this.#parseNumberParameter(query.minPieces, 'minPieces')
+    const maxPieces = this.#parseNumberParameter(query.maxPieces, 'maxPieces')
+    if (minPieces !== undefined || maxPieces !== undefined) {
+      filter.piecesNumber = {
+        ...(minPieces !== undefined && { $gte: minPieces }),
+        ...(maxPieces !== undefined && { $lte: maxPieces })
+      }
+    }
+
+    // The manufacturer must match exactly, but the case is ignored.
+    if (query.manufacturer) {
+      const escapedValue = String(query.manufacturer).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+      filter.manufacturer = new RegExp(`^${escapedValue}$`, 'i')
+    }
+  }
+
+  /**
+   * Builds the sort order for the list of puzzles from the query parameters.
+   * The sort parameter is a comma-separated list of fields, where a field prefixed with - is sorted in descending order.
+   *
+   * @param {object} query - The query parameters of the request.
+   * @returns {object} The sort order.
+   * @throws {Error} If a field can not be sorted by.
+   */
+  #buildPuzzleSort (query) {
+    const sort = {}
+    if (query.sort) {
+      for (const value of String(query.sort).split(',')) {
+        const field = value.trim().replace(/^-/, '')
+        if (!SORTABLE_FIELDS.includes(field)) {
+          throw createError(400, `Det går inte att sortera på "${field}".`)
+        }
+        sort[field] = value.trim().startsWith('-') ? -1 : 1
+      }
+    } else if (query.search) {
+      // Sort by relevance if the puzzles are searched and no sort order is submitted.
+      sort.score = { $meta: 'textScore' }
+    }
+    // The id is always sorted by last, so that the order is the same on every page.
+    sort._id = 1
+    return sort
+  }
+
+  /**
+   * Parses the pagination query parameters.
+   * If no limit is submitted, all puzzles are fetched.
+   *
+   * @param {object} query - The query parameters of the request.
+   * @returns {object} The number of puzzles to skip and the maximum number of puzzles to fetch.
+   * @throws {Error} If the page or the limit is not valid.
+   */
+  #parsePagination (query) {
+    const limit = this.#parseNumberParameter(query.limit, 'limit')
+    const page = this.#parseNumberParameter(query.page, 'page') ?? 1
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE)) {
+      throw createError(400, `Värdet för "limit" måste vara ett heltal mellan 1 och ${MAX_PAGE_SIZE}.`)
+    }
+    if (!Number.isInteger(page) || page < 1) {
+      throw createError(400, 'Värdet för "page" måste vara ett heltal som är större än 0.')
+    }
+    return { skip: limit ? (page - 1) * limit : 0, limit }
+  }
+
+  /**
+   * Parses a query parameter that must be a number.
+   *
+   * @param {string} value - The value of the query parameter.
+   * @param {string} name - The name of the query parameter.
+   * @returns {number|undefined} The number, or undefined if no value was submitted.
+   * @throws {Error} If the value is not a number.
+   */
+  #parseNumberParameter (value, name) {
+    if (value === undefined || value === '') {
+      return undefined
+    }
+    if (isNaN(value)) {
+      throw createError(400, `Det angivna värdet för "${name}" är inte ett giltigt nummer.`)
+    }
+    return Number(value)
+  }
+
+  /**
+   * Parses a query parameter that must be a date.
+   *
+   * @param {string} value - The value of the query parameter.
+   * @returns {Date|undefined} The date, or undefined if no value was submitted.
+   * @throws {Error} If the value is not a valid date.
+   */
+  #parseDateParameter (value) {
+    if (!value) {
+      return undefined
+    }
+    const date = new Date(value)
+    if (isNaN(date)) {
+      throw createError(400, 'Datumet är ogiltigt.')
+    }
+    return date
+  }
+
+  /**
+   * Updates the loan history of a puzzle after the puzzle has been saved.
+   *
+   * @param {object} puzzle - The saved puzzle.
+   * @param {boolean} isNewLoan - True if the puzzle has been returned or lent out to someone else.
+   * @param {Date|null|undefined} dueDate - The submitted due date, or undefined if no due date was submitted.
+   */
+  async #updateLoanHistory (puzzle, isNewLoan, dueDate) {
+    if (isNewLoan) {
+      // End the previous loan, if the puzzle was lent out.
+      await Loan.updateOne({ puzzle: puzzle._id, status: 'active' }, { status: 'returned', returnedAt: new Date() })
+      if (puzzle.isLentOut) {
+        await Loan.create({
+          puzzle: puzzle._id,
+          owner: puzzle.owner,
+          borrowerName: puzzle.lentOutToString,
+          status: 'active',
+          lentOutAt: new Date(),
+          dueDate: dueDate ?? null
+        })
+      }
+    } else if (puzzle.isLentOut && dueDate !== undefined) {
+      // Puzzles that were lent out before the loan history existed don't have an active loan, so one is created.
+      await Loan.updateOne({ puzzle: puzzle._id, status: 'active' }, {
+        dueDate,
+        $setOnInsert: {
+          owner: puzzle.owner,
+          borrower: puzzle.lentOutTo,
+          borrowerName: puzzle.lentOutToString,
+          lentOutAt: null
+        }
+      }, { upsert: true })
+    }
+  }
+
+  /**
+   * Transforms the data of a puzzle to the format that is shared with users other than the owner.
+   * Only the fields that the puzzle policy allows the role to see are included, so private information is never sent.
+   *
+   * @param {object} puzzle - The puzzle to transform.
+   * @param {string} puzzleUrl - The URL to the puzzle, which the URLs to the images are based on.
+   * @param {string} role - The role of the user that the puzzle is sent to.
+   * @returns {object} The transformed puzzle data.
+   */
+  #transformSharedPuzzleData (puzzle, puzzleUrl, role) {
+    const responseData = redactPuzzle({
+      ...puzzle.toObject(),
+      id: puzzle.id,
+      imageUrl: `${puzzleUrl}/image`,
+      imageUrls: getImageUrls(`${puzzleUrl}/image`),
+      photos: this.#transformPhotoData(puzzle, `${puzzleUrl}/photos`)
+    }, role)
+    if (puzzle.lastPlayed) {
+      // Adjust the date format to YYYY-MM-DD
+      responseData.lastPlayed = new Date(puzzle.lastPlayed).toISOString().slice(0, 10)
+    }
+    return responseData
+  }
+
+  /**
+   * Transforms the photos of a puzzle to a format that can be sent as a response.
+   *
+   * @param {object} puzzle - The puzzle with the photos to transform.
+   * @param {string} photosUrl - The URL to the photos of the puzzle.
+   * @returns {object[]} The transformed photos.
+   */
+  #transformPhotoData (puzzle, photosUrl) {
+    return puzzle.photos.map(photo => ({
+      ...photo.toJSON(),
+      isCover: photo._id.equals(puzzle.coverPhoto),
+      imageUrl: `${photosUrl}/${photo.id}/image`,
+      imageUrls: getImageUrls(`${photosUrl}/${photo.id}/image`)
+    }))
+  }
+
+  /**
+   * Decrypts a private note. Notes encrypted before every note got its own initialization vector
+   * and key id are decrypted with AES-256-CBC and SECRET_ENCRYPTION_KEY.
    *
    * @param {string} privateNote - The private note to decrypt.
    * @returns {string} The decrypted private note.
    */
   #decryptPrivateNote (privateNote) {
-    // Parse the private note to get the initialization vector (iv) and encrypted data
-    const { iv, encryptedData } = JSON.parse(privateNote)
-    // Create a cryptographic key from the SECRET_ENCRYPTION_KEY environment variable, decoding from base64
-    const key = Buffer.from(process.env.SECRET_ENCRYPTION_KEY, 'base64')
-    // Initialize the decryption algorithm ('aes-256-cbc') with the key and the iv (initialization vector),
-    // converting the iv from hex to a buffer
-    const decipher = crypto.createDecipheriv('aes-256-cbc', key, Buffer.from(iv, 'hex'))
-    // Use the decipher to decrypt the encrypted data part, converting from hex to utf-8 string
-    let decrypted = decipher.update(encryptedData, 'hex', 'utf8')
-    // Finalize the decryption process by adding any remaining decrypted data that was buffered
-    decrypted += decipher.final('utf8')
-    return decrypted
-  }
-
-  /**
-   * Converts an image to a base64 string.
-   *
-   * @param {string} filePath - The path to the image to convert.
-   * @returns {string} The image as a base64 string.
-   */
-  async #convertImageToBase64 (filePath) {
-    // Return a new Promise to handle asynchronous file read operation.
-    return new Promise((resolve, reject) => {
-      // Read the file asynchronously from the provided filePath.
-      fs.readFile(filePath, (error, data) => {
-        // If there is an error reading the file, reject the Promise with the error.
-        if (error) {
-          reject(error)
-        } else {
-          // Convert the file data from a Buffer to a base64 string.
-          const base64String = Buffer.from(data).toString('base64')
-          // If conversion is successful, resolve the Promise with the base64 string.
-          resolve(base64String)
-        }
-      })
-    })
+    return decrypt(privateNote)
   }
 
   /**
@@ -271,26 +714,8 @@ export class PuzzleController {
    * @param {Function} next - Express next middleware function.
    */
   #handleAddOrUpdateError (error, next) {
-    if (error.message.includes('Puzzle validation failed') ||
-     error.message.includes('inte ett giltigt nummer') ||
-     error.message.includes('Namnet på den som har lånat pusslet måste anges') ||
-     (error.message.includes('Pusslets titel måste anges.')) ||
-     error.message.includes('Antalet saknade bitar kan inte vara fler än antalet bitar.') ||
-     error.message.includes('Datumet är ogiltigt.')) {
-      const errors = []
-      if (error.message.includes('Puzzle validation failed') && (!error.message.includes('Invalid Date'))) {
-        // Loop through the error object and push the error messages to the errors array
-        for (const key in error.errors) {
-          // Check if the error object has the key
-          if (Object.prototype.hasOwnProperty.call(error.errors, key)) {
-            errors.push(error.errors[key].message)
-          }
-        }
-      } else if (error.message.includes('Invalid Date')) {
-        errors.push('Datumet är ogiltigt.')
-      } else {
-        errors.push(error.message)
-      }
+    const errors = this.#getValidationErrors(error)
+    if (errors) {
       error.status = 400
       error.message = errors
       next(error)
@@ -298,6 +723,10 @@ export class PuzzleController {
       error.message = 'Bilden är för stor, max 10 MB.'
       error.status = 400
       next(error)
+    } else if (error.message.includes('unsupported image format')) {
+      error.message = 'Filen är inte en giltig bild.'
+      error.status = 400
+      next(error)
     } else {
       console.error('Error: ' + error.message)
       next(error)
@@ -305,23 +734,281 @@ export class PuzzleController {
   }
 
   /**
-   * Updates the puzzle input.
+   * Gets the validation error messages of an error that was thrown when a puzzle was validated.
+   *
+   * @param {Error} error - The error.
+   * @returns {string[]|null} The error messages, or null if the error is not a validation error.
+   */
+  #getValidationErrors (error) {
+    // Errors with status 400 are thrown when e.g. the name of a tag is too long.
+    if (createError.isHttpError(error) && error.status === 400) {
+      return [error.message]
+    }
+    if (!(error.message.includes('Puzzle validation failed') ||
+     error.message.includes('inte ett giltigt nummer') ||
+     error.message.includes('Namnet på den som har lånat pusslet måste anges') ||
+     (error.message.includes('Pusslets titel måste anges.')) ||
+     error.message.includes('Antalet saknade bitar kan inte vara fler än antalet bitar.') ||
+     error.message.includes('Datumet är ogiltigt.'))) {
+      return null
+    }
+    const errors = []
+    if (error.message.includes('Puzzle validation failed') && (!error.message.includes('Invalid Date'))) {
+      // Loop through the error object and push the error messages to the errors array
+      for (const key in error.errors) {
+        // Check if the error object has the key
+        if (Object.prototype.hasOwnProperty.call(error.errors, key)) {
+          errors.push(error.errors[key].message)
+        }
+      }
+    } else if (error.message.includes('Invalid Date')) {
+      errors.push('Datumet är ogiltigt.')
+    } else {
+      errors.push(error.message)
+    }
+    return errors
+  }
+
+  /**
+   * Creates a new, unsaved puzzle from validated puzzle input.
+   *
+   * @param {object} puzzleInput - The validated puzzle input.
+   * @param {string} owner - The id of the owner of the puzzle.
+   * @returns {object} The puzzle.
+   */
+  #createPuzzle (puzzleInput, owner) {
+    const puzzle = new Puzzle({
+      title: puzzleInput.title,
+      // Adds the piecesNumber, sizeHeight, sizeWidth, manufacturer and ean property only if it is present in the request body
+      ...(puzzleInput.piecesNumber && { piecesNumber: puzzleInput.piecesNumber }),
+      ...(puzzleInput.sizeHeight && { sizeHeight: puzzleInput.sizeHeight }),
+      ...(puzzleInput.sizeWidth && { sizeWidth: puzzleInput.sizeWidth }),
+      ...(puzzleInput.manufacturer && { manufacturer: puzzleInput.manufacturer }),
+      ...(puzzleInput.ean && { ean: puzzleInput.ean }),
+      lastPlayedManually: puzzleInput.lastPlayed || null,
+      privateNote: puzzleInput.privateNote,
+      sharedNote: puzzleInput.sharedNote,
+      isLentOut: puzzleInput.isLentOut,
+      ...(puzzleInput.lentOutToString && { lentOutToString: puzzleInput.lentOutToString }),
+      isPrivate: puzzleInput.isPrivate,
+      availableForSwap: puzzleInput.availableForSwap,
+      owner
+    })
+    // The submitted number of missing pieces is registered as missing pieces without a position.
+    puzzle.setMissingPiecesNumber(Number(puzzleInput.missingPiecesNumber) || 0)
+    return puzzle
+  }
+
+  /**
+   * Validates a submitted puzzle and adds it to the collection of a user, together with the uploaded image.
+   *
+   * @param {object} body - The submitted puzzle.
+   * @param {object} [file] - The uploaded image.
+   * @param {string} owner - The id of the owner of the puzzle.
+   * @returns {Promise<object>} The saved puzzle.
+   * @throws {Error} If the puzzle is not valid.
+   */
+  async #savePuzzle (body, file, owner) {
+    const puzzleInput = this.#validatePuzzleInput(body)
+    const puzzle = this.#createPuzzle(puzzleInput, owner)
+    let imageVariants = await this.#createValidatedImageVariants(puzzle, file)
+    // The box image in the catalog is used if no image is uploaded and the client asks for it.
+    if (!imageVariants && puzzleInput.ean && String(body.useCatalogImage) === 'true') {
+      const entry = await CatalogEntry.findOne({ ean: puzzleInput.ean }, 'image')
+      if (entry?.image?.data) {
+        imageVariants = await createImageVariants(entry.image.data)
+      }
+    }
+
+    await this.#setReferences(puzzle, puzzleInput)
+    // The uploaded image is added as the front of the box, and used as the cover photo.
+    if (imageVariants) {
+      puzzle.photos.push({ type: 'boxFront' })
+      puzzle.coverPhoto = puzzle.photos[0]._id
+    }
+
+    // The puzzle and the image are saved in one transaction, so that a puzzle is never saved without its image.
+    await mongoose.connection.transaction(async (session) => {
+      await puzzle.save({ session })
+      if (imageVariants) {
+        await PuzzleImage.replaceVariants(puzzle, puzzle.coverPhoto, imageVariants, session)
+      }
+    })
+    if (puzzle.isLentOut) {
+      await this.#updateLoanHistory(puzzle, true, puzzleInput.lentOutDueDate)
+    }
+    await this.#addToCatalog(puzzle, imageVariants, body)
+    return puzzle
+  }
+
+  /**
+   * Sets the submitted tags, shelves and location of a puzzle. Tags, shelves and locations that don't exist are created.
+   * The tags and shelves are only changed if they are submitted, and an empty list removes all of them.
+   * The location is either the id of a location in locationId, or a path to a location in location, e.g. "Vind > Låda 3".
+   *
+   * @param {object} puzzle - The puzzle.
+   * @param {object} puzzleInput - The validated puzzle input.
+   * @throws {Error} If the submitted location id is not a location of the owner.
+   */
+  async #setReferences (puzzle, puzzleInput) {
+    // The puzzle is validated first, so that nothing is created for an invalid puzzle.
+    await puzzle.validate()
+    if (puzzleInput.locationId) {
+      const location = await Location.exists({ _id: puzzleInput.locationId, owner: puzzle.owner })
+      if (!location) {
+        throw createError(400, 'Platsen finns inte.')
+      }
+      puzzle.location = location._id
+    } else {
+      puzzle.location = puzzleInput.location?.length ? await Location.findOrCreatePath(puzzle.owner, puzzleInput.location) : null
+    }
+    if (puzzleInput.tags !== undefined) {
+      puzzle.tags = await Tag.findOrCreateByNames(puzzle.owner, puzzleInput.tags)
+    }
+    if (puzzleInput.shelves !== undefined) {
+      puzzle.shelves = await Shelf.findOrCreateByNames(puzzle.owner, puzzleInput.shelves)
+    }
+  }
+
+  /**
+   * Transforms the populated tags and shelves of a puzzle to the format that is sent as a response.
+   *
+   * @param {object} puzzle - The puzzle, with the tags and shelves populated.
+   * @returns {object} The tags, with their id, name and color, and the shelves, with their id and name.
+   */
+  #transformTagsAndShelves (puzzle) {
+    return {
+      tags: puzzle.tags.map(tag => ({ id: tag.id, name: tag.name, color: tag.color })),
+      shelves: puzzle.shelves.map(shelf => ({ id: shelf.id, name: shelf.name }))
+    }
+  }
+
+  /**
+   * Adds a saved puzzle to the shared catalog. The puzzle has already been saved, so an error is only logged.
+   * The uploaded image is only added if the user has chosen to share it with shareImageWithCatalog.
+   *
+   * @param {object} puzzle - The saved puzzle.
+   * @param {object[]|null} imageVariants - The variants of the uploaded image, if an image was uploaded.
+   * @param {object} body - The submitted puzzle.
+   */
+  async #addToCatalog (puzzle, imageVariants, body) {
+    try {
+      await CatalogEntry.contribute(puzzle, String(body.shareImageWithCatalog) === 'true' ? imageVariants : null)
+    } catch (error) {
+      console.error('Error: ' + error.message)
+    }
+  }
+
+  /**
+   * Parses the puzzles to import, from an uploaded CSV or JSON file or from the puzzles array of a JSON body.
    *
    * @param {object} req - Express request object.
+   * @returns {object[]} The rows to import, with the number of each row in rowNumber and the submitted fields in data.
+   * @throws {Error} If the file can't be read or contains too many puzzles.
+   */
+  #parseImportFile (req) {
+    let rows
+    let isCsv = false
+    try {
+      if (!req.file) {
+        rows = req.body.puzzles
+      } else if (req.file.mimetype === 'application/json' || req.file.originalname.toLowerCase().endsWith('.json')) {
+        const json = JSON.parse(req.file.buffer.toString('utf8'))
+        rows = Array.isArray(json) ? json : json.puzzles
+      } else {
+        rows = parseCsv(req.file.buffer.toString('utf8'))
+        isCsv = true
+      }
+    } catch (error) {
+      throw createError(400, 'Filen kunde inte läsas. Den måste vara en CSV- eller JSON-fil.')
+    }
+    if (!Array.isArray(rows) || rows.length === 0) {
+      throw createError(400, 'Inga pussel att importera hittades.')
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      throw createError(400, `Det går inte att importera fler än ${MAX_IMPORT_ROWS} pussel åt gången.`)
+    }
+    // The rows of a CSV file are numbered by the parser, counting the header row, and the puzzles of a JSON array by their position.
+    return isCsv ? rows : rows.map((data, index) => ({ rowNumber: index + 1, data }))
+  }
+
+  /**
+   * Converts an imported row to the same format as a submitted form, where all values are strings.
+   * Fields that can't be imported are removed, and empty boolean fields are left out so that the defaults are used.
+   *
+   * @param {object} data - The imported row.
+   * @returns {object} The converted row.
+   */
+  #normalizeImportRow (data) {
+    const row = {}
+    if (!data || typeof data !== 'object') {
+      return row
+    }
+    for (const field of EXPORT_FIELDS) {
+      const value = data[field]
+      if (value === undefined || value === null) {
+        continue
+      }
+      row[field] = String(value).trim()
+      if (['complete', 'isPrivate', 'isLentOut', 'availableForSwap'].includes(field)) {
+        row[field] = row[field].toLowerCase() || undefined
+      }
+    }
+    return row
+  }
+
+  /**
+   * Gets the key that is used to find puzzles that already are in the collection when puzzles are imported.
+   *
+   * @param {object} puzzle - The puzzle.
+   * @returns {string} The key, made from the title, manufacturer and number of pieces.
+   */
+  #getDuplicateKey (puzzle) {
+    return JSON.stringify([puzzle.title?.trim().toLowerCase(), puzzle.manufacturer?.trim().toLowerCase() || '', puzzle.piecesNumber || null])
+  }
+
+  /**
+   * Creates all sizes and formats of the uploaded image of a puzzle. The puzzle is validated first,
+   * so that an invalid puzzle is rejected without processing the image.
+   *
+   * @param {object} puzzle - The puzzle that the image is uploaded for.
+   * @param {object} [file] - The uploaded image.
+   * @returns {Promise<object[]|null>} The variants of the image, or null if no image was uploaded.
+   * @throws {Error} If the puzzle or the image is not valid.
+   */
+  async #createValidatedImageVariants (puzzle, file) {
+    await puzzle.validate()
+    return file ? await createImageVariants(file.buffer) : null
+  }
+
+  /**
+   * Validates and updates submitted puzzle input. Used both for submitted forms and imported rows.
+   *
+   * @param {object} puzzle - The submitted puzzle, where all values are strings.
    * @returns {object} The updated puzzle input.
    * @throws {Error} If the puzzle is lent out and the name of the person who borrowed the puzzle is not specified.
    */
-  async #updatePuzzleInput (req) {
-    const puzzle = req.body
-    // Convert the image to a PNG
-    puzzle.imageBinary = await this.#convertImageToPng(req)
-
+  #validatePuzzleInput (puzzle) {
     // Check if the values of the number fields are numbers
     this.#isNumberFieldNumber(puzzle)
 
     if (puzzle.lastPlayed) {
       puzzle.lastPlayed = this.#adjustTimeZone(puzzle.lastPlayed)
     }
+    if (puzzle.tags !== undefined) {
+      puzzle.tags = parseNameList(puzzle.tags, MAX_TAG_NAME_LENGTH, `Taggens namn får inte innehålla fler än ${MAX_TAG_NAME_LENGTH} tecken.`)
+    }
+    if (puzzle.shelves !== undefined) {
+      puzzle.shelves = parseNameList(puzzle.shelves, MAX_SHELF_NAME_LENGTH, `Hyllans namn får inte innehålla fler än ${MAX_SHELF_NAME_LENGTH} tecken.`)
+    }
+    puzzle.location = parseLocationPath(puzzle.location, MAX_LOCATION_NAME_LENGTH, `Platsens namn får inte innehålla fler än ${MAX_LOCATION_NAME_LENGTH} tecken.`)
+    if (puzzle.locationId && !String(puzzle.locationId).match(/^[0-9a-fA-F]{24}$/)) {
+      throw createError(400, 'Platsen finns inte.')
+    }
+    // Spaces and dashes are allowed in the submitted EAN code, as it is printed on some boxes.
+    if (puzzle.ean !== undefined) {
+      puzzle.ean = normalizeEan(puzzle.ean) || null
+    }
     if (!puzzle.piecesNumber) {
       puzzle.complete = true
       puzzle.missingPiecesNumber = ''
@@ -332,6 +1019,13 @@ export class PuzzleController {
     if (puzzle.isLentOut === 'false') {
       puzzle.lentOutToString = null
     }
+    // The due date is only changed if it is submitted. An empty value removes the due date.
+    if (puzzle.lentOutDueDate !== undefined) {
+      puzzle.lentOutDueDate = puzzle.lentOutDueDate ? new Date(puzzle.lentOutDueDate) : null
+      if (puzzle.lentOutDueDate && isNaN(puzzle.lentOutDueDate)) {
+        throw new Error('Datumet är ogiltigt.')
+      }
+    }
     if (puzzle.isLentOut === 'true' && !puzzle.lentOutToString) {
       throw new Error('Namnet på den som har lånat pusslet måste anges.')
     }
@@ -341,6 +1035,14 @@ export class PuzzleController {
     if (!isNaN(puzzle.piecesNumber) && !isNaN(puzzle.missingPiecesNumber) && (parseInt(puzzle.piecesNumber) < parseInt(puzzle.missingPiecesNumber))) {
       throw new Error('Antalet saknade bitar kan inte vara fler än antalet bitar.')
     }
+    // complete and missingPiecesNumber are derived from the missing pieces, so the submitted values are validated here
+    // with the same rules as the schema, before they are converted to missing pieces.
+    if (puzzle.missingPiecesNumber && !(Number.isInteger(Number(puzzle.missingPiecesNumber)) && Number(puzzle.missingPiecesNumber) >= 1)) {
+      throw createError(400, 'Antalet saknade bitar måste vara ett heltal mellan 1 och antalet bitar i pusslet.')
+    }
+    if (puzzle.complete === 'false' && !puzzle.missingPiecesNumber) {
+      throw createError(400, 'Om pusslet inte är komplett måste antalet saknade bitar anges.')
+    }
     return puzzle
   }
 
@@ -382,24 +1084,4 @@ export class PuzzleController {
     newDate.setHours(newDate.getHours() + 2)
     return newDate
   }
-
-  /**
-   * Converts an image to a PNG.
-   *
-   * @param {object} req - Express request object.
-   * @returns {Buffer} The image as a PNG.
-   */
-  async #convertImageToPng (req) {
-    let imageBinary = null
-    if (req.file) {
-      // Convert the file buffer to a PNG format using the Sharp library
-      // The image is resized to a width of 500 pixels. The height is auto-scaled to maintain aspect ratio
-      const pngBuffer = sharp(req.file.buffer)
-        .resize({ width: 500 })
-        .png()
-        .toBuffer() // Convert the processed image to a buffer
-      imageBinary = pngBuffer
-    }
-    return imageBinary
-  }
 }
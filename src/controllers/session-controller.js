@@ -0,0 +1,195 @@
+/**
+ * Module for the SessionController.
+ *
+ * @author Anja Willsund
+ * @version 1.0.0
+ */
+
+import createError from 'http-errors'
+
+/**
+ * Encapsulates a controller.
+ */
+export class SessionController {
+  /**
+   * Loads a specific session of the loaded puzzle.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @param {string} id - The id of the session to load.
+   */
+  loadSession (req, res, next, id) {
+    try {
+      // This error is added to handle the case when the id is not a valid ObjectId,
+      // which must be a string consisting of exactly 24 hexadecimal characters.
+      if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+        next(createError(400, 'Invalid id'))
+        return
+      }
+      const session = req.puzzle.sessions.id(id)
+      if (!session) {
+        next(createError(404, 'Session not found'))
+        return
+      }
+      req.playSession = session
+
+      next()
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Gets all sessions of the loaded puzzle, together with a summary of how often and how long the puzzle has been played.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async getSessions (req, res, next) {
+    try {
+      const sessions = [...req.puzzle.sessions]
+        .sort((a, b) => b.startedAt - a.startedAt)
+        .map(session => session.toJSON())
+      const timesSpent = sessions.filter(session => session.timeSpent).map(session => session.timeSpent)
+      const totalTimeSpent = timesSpent.reduce((sum, timeSpent) => sum + timeSpent, 0)
+      res.status(200).json({
+        count: sessions.length,
+        totalTimeSpent,
+        averageTimeSpent: timesSpent.length > 0 ? Math.round(totalTimeSpent / timesSpent.length) : null,
+        sessions
+      })
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Adds a session to the loaded puzzle.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async addSession (req, res, next) {
+    try {
+      const sessionInput = this.#updateSessionInput(req.body)
+      const session = req.puzzle.sessions.create(sessionInput)
+      req.puzzle.sessions.push(session)
+
+      await req.puzzle.save()
+      res.status(201).json({ message: 'Session added successfully.', id: session.id })
+    } catch (error) {
+      this.#handleAddOrUpdateError(error, next)
+    }
+  }
+
+  /**
+   * Updates a specific session of the loaded puzzle.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async updateSession (req, res, next) {
+    try {
+      const sessionInput = this.#updateSessionInput(req.body)
+      req.playSession.set(sessionInput)
+
+      await req.puzzle.save()
+      res.status(200).json({ message: 'Session updated successfully.' })
+    } catch (error) {
+      this.#handleAddOrUpdateError(error, next)
+    }
+  }
+
+  /**
+   * Deletes a specific session of the loaded puzzle.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async deleteSession (req, res, next) {
+    try {
+      // The date when the puzzle was last played is derived again from the remaining sessions when the puzzle is saved.
+      req.playSession.deleteOne()
+
+      await req.puzzle.save()
+      res.status(204).send()
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Handles errors when adding or updating a session.
+   *
+   * @param {Error} error - The error to handle.
+   * @param {Function} next - Express next middleware function.
+   */
+  #handleAddOrUpdateError (error, next) {
+    if (error.message.includes('Puzzle validation failed')) {
+      const errors = []
+      // Loop through the error object and push the error messages to the errors array
+      for (const key in error.errors) {
+        // Check if the error object has the key
+        if (Object.prototype.hasOwnProperty.call(error.errors, key)) {
+          errors.push(error.errors[key].message)
+        }
+      }
+      error.status = 400
+      error.message = errors
+      next(error)
+    } else {
+      console.error('Error: ' + error.message)
+      next(error)
+    }
+  }
+
+  /**
+   * Updates the session input.
+   *
+   * @param {object} body - The submitted session.
+   * @returns {object} The updated session input.
+   * @throws {Error} If a date or the time spent is not valid.
+   */
+  #updateSessionInput (body) {
+    // The dates are saved as submitted. A date without a time (YYYY-MM-DD) is interpreted as midnight UTC,
+    // which means that it does not need to be adjusted for the time zone.
+    const startedAt = this.#parseDate(body.startedAt)
+    const finishedAt = this.#parseDate(body.finishedAt)
+    if (!startedAt) {
+      throw createError(400, 'Datumet då pusslet påbörjades måste anges.')
+    }
+    if (body.timeSpent && isNaN(body.timeSpent)) {
+      throw createError(400, 'Det angivna värdet för "Tid" är inte ett giltigt nummer.')
+    }
+    return {
+      startedAt,
+      finishedAt,
+      timeSpent: body.timeSpent ? Number(body.timeSpent) : null,
+      players: body.players || '',
+      note: body.note || ''
+    }
+  }
+
+  /**
+   * Parses a submitted date.
+   *
+   * @param {string} value - The submitted date.
+   * @returns {Date|null} The date, or null if no date was submitted.
+   * @throws {Error} If the submitted date is not a valid date.
+   */
+  #parseDate (value) {
+    if (!value) {
+      return null
+    }
+    const date = new Date(value)
+    if (isNaN(date)) {
+      throw createError(400, 'Datumet är ogiltigt.')
+    }
+    return date
+  }
+}
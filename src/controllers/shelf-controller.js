@@ -0,0 +1,149 @@
+/**
+ * Module for the ShelfController.
+ *
+ * @author Anja Willsund
+ * @version 1.0.0
+ */
+
+import createError from 'http-errors'
+import mongoose from 'mongoose'
+import { Puzzle } from '../models/puzzle.js'
+import { Shelf } from '../models/shelf.js'
+
+/**
+ * Encapsulates a controller.
+ */
+export class ShelfController {
+  /**
+   * Loads a specific shelf.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @param {string} id - The id of the shelf to load.
+   */
+  async loadShelf (req, res, next, id) {
+    try {
+      // This error is added to handle the case when the id is not a valid ObjectId,
+      // which must be a string consisting of exactly 24 hexadecimal characters.
+      if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+        next(createError(400, 'Invalid id'))
+        return
+      }
+      const shelf = await Shelf.findOne({ _id: id })
+      if (!shelf) {
+        next(createError(404, 'Shelf not found'))
+        return
+      }
+      req.shelf = shelf
+
+      next()
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Gets all shelves of the authenticated user, in alphabetical order, with the number of puzzles on each shelf.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async getShelves (req, res, next) {
+    try {
+      const [shelves, counts] = await Promise.all([
+        Shelf.find({ owner: req.user.id }).sort({ name: 1 }).collation({ locale: 'sv' }),
+        Puzzle.aggregate([
+          { $match: { owner: new mongoose.Types.ObjectId(req.user.id) } },
+          { $unwind: '$shelves' },
+          { $group: { _id: '$shelves', count: { $sum: 1 } } }
+        ])
+      ])
+      const countsByShelf = new Map(counts.map(({ _id, count }) => [_id.toString(), count]))
+      res.status(200).json(shelves.map(shelf => ({
+        id: shelf.id,
+        name: shelf.name,
+        description: shelf.description,
+        puzzleCount: countsByShelf.get(shelf.id) ?? 0
+      })))
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Adds a shelf.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async addShelf (req, res, next) {
+    try {
+      const shelf = await Shelf.create({
+        owner: req.user.id,
+        name: req.body.name,
+        description: req.body.description || ''
+      })
+      res.status(201).json({ message: 'Shelf added successfully.', id: shelf.id })
+    } catch (error) {
+      this.#handleAddOrUpdateError(error, next)
+    }
+  }
+
+  /**
+   * Updates the name and description of the loaded shelf.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async updateShelf (req, res, next) {
+    try {
+      const shelf = req.shelf
+      shelf.name = req.body.name ?? shelf.name
+      shelf.description = req.body.description ?? shelf.description
+
+      await shelf.save()
+      res.status(200).json({ message: 'Shelf updated successfully.' })
+    } catch (error) {
+      this.#handleAddOrUpdateError(error, next)
+    }
+  }
+
+  /**
+   * Deletes the loaded shelf and removes it from all puzzles. The puzzles are not deleted.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async deleteShelf (req, res, next) {
+    try {
+      await Puzzle.updateMany({ owner: req.user.id, shelves: req.shelf._id }, { $pull: { shelves: req.shelf._id } })
+      await req.shelf.deleteOne()
+      res.status(204).send()
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Handles errors when adding or updating a shelf.
+   *
+   * @param {Error} error - The error to handle.
+   * @param {Function} next - Express next middleware function.
+   */
+  #handleAddOrUpdateError (error, next) {
+    if (error.message.includes('E11000 duplicate key error collection')) {
+      next(createError(400, 'Det finns redan en hylla med det namnet.'))
+    } else if (error.message.includes('Shelf validation failed')) {
+      error.status = 400
+      error.message = Object.values(error.errors).map(validationError => validationError.message)
+      next(error)
+    } else {
+      next(error)
+    }
+  }
+}
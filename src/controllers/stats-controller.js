@@ -0,0 +1,100 @@
+/**
+ * Module for the StatsController.
+ *
+ * @author Anja Willsund
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose'
+import { Location } from '../models/location.js'
+import { Puzzle } from '../models/puzzle.js'
+
+// The number of puzzles to include in the list of puzzles that have gone longest without being played.
+const LEAST_RECENTLY_PLAYED_LIMIT = 5
+
+/**
+ * Encapsulates a controller.
+ */
+export class StatsController {
+  /**
+   * Gets statistics about the authenticated user's puzzle collection.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async getStats (req, res, next) {
+    try {
+      // All statistics are calculated by the database, so that no puzzles (or images) have to be loaded.
+      const [stats] = await Puzzle.aggregate([
+        { $match: { owner: new mongoose.Types.ObjectId(req.user.id) } },
+        { $project: { title: 1, piecesNumber: 1, manufacturer: 1, location: 1, complete: 1, missingPiecesNumber: 1, isLentOut: 1, lastPlayed: 1 } },
+        {
+          $facet: {
+            totals: [{
+              $group: {
+                _id: null,
+                totalPuzzles: { $sum: 1 },
+                totalPieces: { $sum: { $ifNull: ['$piecesNumber', 0] } },
+                incompletePuzzles: { $sum: { $cond: [{ $eq: ['$complete', false] }, 1, 0] } },
+                missingPieces: { $sum: { $ifNull: ['$missingPiecesNumber', 0] } },
+                lentOutPuzzles: { $sum: { $cond: [{ $eq: ['$isLentOut', true] }, 1, 0] } }
+              }
+            }],
+            byManufacturer: this.#countBy('manufacturer'),
+            byLocation: this.#countBy('location'),
+            // Puzzles that have never been played are sorted first, since they have gone the longest without being played.
+            leastRecentlyPlayed: [
+              { $sort: { lastPlayed: 1, title: 1 } },
+              { $limit: LEAST_RECENTLY_PLAYED_LIMIT }
+            ]
+          }
+        }
+      ])
+
+      const totals = stats.totals[0] || {}
+      const locations = await Location.getPaths(stats.byLocation.map(group => group._id).filter(Boolean))
+      res.status(200).json({
+        totalPuzzles: totals.totalPuzzles || 0,
+        totalPieces: totals.totalPieces || 0,
+        incompletePuzzles: totals.incompletePuzzles || 0,
+        missingPieces: totals.missingPieces || 0,
+        lentOutPuzzles: totals.lentOutPuzzles || 0,
+        byManufacturer: stats.byManufacturer.map(group => ({ manufacturer: group._id, count: group.count })),
+        // The location is sent as the path to it, e.g. "Vind > Låda 3", with the id of the location in id.
+        byLocation: stats.byLocation.map(group => ({
+          id: group._id ? group._id.toString() : null,
+          location: group._id ? locations.get(group._id.toString())?.path ?? null : null,
+          count: group.count
+        })),
+        leastRecentlyPlayed: stats.leastRecentlyPlayed.map(puzzle => ({
+          id: puzzle._id.toString(),
+          title: puzzle.title,
+          // Adjust the date format to YYYY-MM-DD
+          lastPlayed: puzzle.lastPlayed ? puzzle.lastPlayed.toISOString().slice(0, 10) : null
+        }))
+      })
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Creates an aggregation pipeline that counts the puzzles by the value of a field.
+   * Puzzles without a value for the field are counted together, with the value null.
+   *
+   * @param {string} field - The name of the field to count by.
+   * @returns {object[]} The aggregation pipeline.
+   */
+  #countBy (field) {
+    return [
+      {
+        $group: {
+          _id: { $cond: [{ $eq: [{ $ifNull: [`$${field}`, ''] }, ''] }, null, `$${field}`] },
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { count: -1, _id: 1 } }
+    ]
+  }
+}
@@ -0,0 +1,343 @@
+/**
+ * Module for the SwapController.
+ *
+ * @author Anja Willsund
+ * @version 1.0.0
+ */
+
+import createError from 'http-errors'
+import mongoose from 'mongoose'
+import { Loan } from '../models/loan.js'
+import { Puzzle } from '../models/puzzle.js'
+import { PuzzleImage } from '../models/puzzle-image.js'
+import { SwapProposal } from '../models/swap-proposal.js'
+
+// The statuses that the lists of proposals can be filtered on.
+const STATUSES = ['pending', 'accepted', 'rejected', 'expired']
+
+/**
+ * Encapsulates a controller.
+ */
+export class SwapController {
+  /**
+   * Loads a specific swap proposal.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @param {string} id - The id of the proposal to load.
+   */
+  async loadProposal (req, res, next, id) {
+    try {
+      // This error is added to handle the case when the id is not a valid ObjectId,
+      // which must be a string consisting of exactly 24 hexadecimal characters.
+      if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+        next(createError(400, 'Invalid id'))
+        return
+      }
+      const proposal = await SwapProposal.findOne({ _id: id })
+      if (!proposal) {
+        next(createError(404, 'Swap proposal not found'))
+        return
+      }
+      req.swapProposal = proposal
+
+      next()
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Proposes to swap one or more of the authenticated user's puzzles for one or more puzzles of another user.
+   * All puzzles must be available for swap, and the requested puzzles must belong to the same user.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async proposeSwap (req, res, next) {
+    try {
+      const proposal = new SwapProposal({
+        proposer: req.user.id,
+        offeredPuzzles: this.#parsePuzzleIds(req.body.offeredPuzzleIds),
+        requestedPuzzles: this.#parsePuzzleIds(req.body.requestedPuzzleIds),
+        message: req.body.message || ''
+      })
+      // The lists are validated before the puzzles are looked up.
+      await proposal.validate(['offeredPuzzles', 'requestedPuzzles', 'message'])
+
+      const [offeredPuzzles, requestedPuzzles] = await Promise.all([
+        Puzzle.find({ _id: { $in: proposal.offeredPuzzles }, owner: req.user.id }, 'availableForSwap isPrivate isLentOut'),
+        Puzzle.find({ _id: { $in: proposal.requestedPuzzles }, availableForSwap: true, isPrivate: false }, 'owner')
+      ])
+      // Puzzles that are not available for swap are handled as if they did not exist.
+      if (offeredPuzzles.length !== proposal.offeredPuzzles.length || requestedPuzzles.length !== proposal.requestedPuzzles.length) {
+        throw createError(404, 'Puzzle not found')
+      }
+      if (offeredPuzzles.some(puzzle => !puzzle.availableForSwap || puzzle.isPrivate)) {
+        throw createError(400, 'Endast pussel som är tillgängliga för byte kan erbjudas.')
+      }
+      if (offeredPuzzles.some(puzzle => puzzle.isLentOut)) {
+        throw createError(400, 'Utlånade pussel kan inte erbjudas.')
+      }
+      const recipients = new Set(requestedPuzzles.map(puzzle => puzzle.owner.toString()))
+      if (recipients.size !== 1) {
+        throw createError(400, 'Alla efterfrågade pussel måste tillhöra samma användare.')
+      }
+      proposal.recipient = requestedPuzzles[0].owner
+      if (proposal.recipient.equals(req.user.id)) {
+        throw createError(400, 'Du kan inte byta pussel med dig själv.')
+      }
+
+      await proposal.save()
+      res.status(201).json({ message: 'Swap proposed successfully.', id: proposal.id })
+    } catch (error) {
+      this.#handleAddError(error, next)
+    }
+  }
+
+  /**
+   * Gets the swap proposals that the authenticated user has received (incoming) and made (outgoing).
+   * Only pending proposals are sent, unless another status is submitted in the status query parameter.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async getSwaps (req, res, next) {
+    try {
+      const status = req.query.status || 'pending'
+      if (!STATUSES.includes(status)) {
+        throw createError(400, `Statusen måste vara en av följande: ${STATUSES.join(', ')}.`)
+      }
+      const puzzleFields = 'title piecesNumber manufacturer'
+      const [incoming, outgoing] = await Promise.all([
+        SwapProposal.find({ recipient: req.user.id, status }).sort({ createdAt: -1 })
+          .populate('proposer', 'username').populate('recipient', 'username')
+          .populate('offeredPuzzles', puzzleFields).populate('requestedPuzzles', puzzleFields),
+        SwapProposal.find({ proposer: req.user.id, status }).sort({ createdAt: -1 })
+          .populate('proposer', 'username').populate('recipient', 'username')
+          .populate('offeredPuzzles', puzzleFields).populate('requestedPuzzles', puzzleFields)
+      ])
+      res.status(200).json({
+        incoming: incoming.map(proposal => this.#transformProposalData(proposal)),
+        outgoing: outgoing.map(proposal => this.#transformProposalData(proposal))
+      })
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Accepts a swap proposal. The owners of all puzzles in the proposal are changed in one transaction,
+   * so either all puzzles change owners or none of them do.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async acceptSwap (req, res, next) {
+    try {
+      const proposal = req.swapProposal
+      this.#checkRecipient(req, proposal)
+      if (proposal.status !== 'pending') {
+        throw createError(400, 'Endast förslag som inte har besvarats kan godkännas.')
+      }
+
+      await mongoose.connection.transaction(async (session) => {
+        const respondedAt = new Date()
+        // The status is checked again in the transaction, so that a proposal can't be accepted twice.
+        const { modifiedCount } = await SwapProposal.updateOne(
+          { _id: proposal._id, status: 'pending' },
+          { status: 'accepted', respondedAt },
+          { session }
+        )
+        if (modifiedCount !== 1) {
+          throw createError(400, 'Endast förslag som inte har besvarats kan godkännas.')
+        }
+        await this.#transferPuzzles(proposal.offeredPuzzles, proposal.proposer, proposal.recipient, session)
+        await this.#transferPuzzles(proposal.requestedPuzzles, proposal.recipient, proposal.proposer, session)
+
+        // The puzzles have been swapped, so the other proposals with any of them can no longer be accepted.
+        const puzzleIds = [...proposal.offeredPuzzles, ...proposal.requestedPuzzles]
+        await SwapProposal.updateMany(
+          { status: 'pending', $or: [{ offeredPuzzles: { $in: puzzleIds } }, { requestedPuzzles: { $in: puzzleIds } }] },
+          { status: 'expired', respondedAt },
+          { session }
+        )
+      })
+
+      res.status(200).json({ message: 'Swap accepted successfully.' })
+    } catch (error) {
+      // Two proposals with the same puzzles that are accepted at the same time conflict in the database.
+      // The transaction is retried, but if the conflict remains, the puzzles are handled as no longer available.
+      if (error.hasErrorLabel?.('TransientTransactionError')) {
+        next(createError(409, 'Ett eller flera av pusslen är inte längre tillgängliga för byte.'))
+        return
+      }
+      next(error)
+    }
+  }
+
+  /**
+   * Rejects a swap proposal.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async rejectSwap (req, res, next) {
+    try {
+      const proposal = req.swapProposal
+      this.#checkRecipient(req, proposal)
+      if (proposal.status !== 'pending') {
+        throw createError(400, 'Endast förslag som inte har besvarats kan avböjas.')
+      }
+      proposal.status = 'rejected'
+      proposal.respondedAt = new Date()
+      await proposal.save()
+      res.status(200).json({ message: 'Swap rejected successfully.' })
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Cancels a swap proposal made by the authenticated user.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async cancelSwap (req, res, next) {
+    try {
+      const proposal = req.swapProposal
+      if (proposal.proposer.toString() !== req.user.id) {
+        throw createError(403)
+      }
+      if (proposal.status !== 'pending') {
+        throw createError(400, 'Endast förslag som inte har besvarats kan återkallas.')
+      }
+      await SwapProposal.deleteOne({ _id: proposal._id })
+      res.status(204).send()
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Transfers puzzles from one user to another, as part of a swap.
+   * The images, photos, shared notes and missing pieces stay with the puzzles, but everything that belongs to
+   * the previous owner, i.e. the private note, tags, shelves, location and play sessions, is removed.
+   * The puzzles are private and not available for swap when the new owner gets them.
+   *
+   * @param {object[]} puzzleIds - The ids of the puzzles.
+   * @param {object} from - The id of the current owner.
+   * @param {object} to - The id of the new owner.
+   * @param {object} session - The session of the transaction.
+   * @throws {Error} If any of the puzzles is no longer available for swap.
+   */
+  async #transferPuzzles (puzzleIds, from, to, session) {
+    const { modifiedCount } = await Puzzle.updateMany(
+      { _id: { $in: puzzleIds }, owner: from, availableForSwap: true, isPrivate: false, isLentOut: false },
+      {
+        owner: to,
+        availableForSwap: false,
+        isPrivate: true,
+        privateNote: '',
+        tags: [],
+        shelves: [],
+        location: null,
+        sessions: [],
+        lastPlayed: null,
+        lastPlayedManually: null
+      },
+      { session }
+    )
+    if (modifiedCount !== puzzleIds.length) {
+      throw createError(409, 'Ett eller flera av pusslen är inte längre tillgängliga för byte.')
+    }
+    await PuzzleImage.updateMany({ puzzle: { $in: puzzleIds } }, { owner: to }, { session })
+    // The previous owner can no longer lend out the puzzles.
+    await Loan.updateMany({ puzzle: { $in: puzzleIds }, status: 'requested' }, { status: 'declined' }, { session })
+  }
+
+  /**
+   * Checks that the authenticated user is the recipient of a swap proposal.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} proposal - The proposal to check.
+   * @throws {Error} If the authenticated user is not the recipient.
+   */
+  #checkRecipient (req, proposal) {
+    if (proposal.recipient.toString() !== req.user.id) {
+      throw createError(403)
+    }
+  }
+
+  /**
+   * Parses the submitted ids of the puzzles of a swap.
+   *
+   * @param {string[]|string} value - The ids, as an array or a comma-separated list.
+   * @returns {string[]} The ids.
+   * @throws {Error} If an id is not valid.
+   */
+  #parsePuzzleIds (value) {
+    const ids = Array.isArray(value) ? value : String(value ?? '').split(',')
+    const trimmedIds = ids.map(id => String(id).trim()).filter(id => id)
+    if (!trimmedIds.every(id => id.match(/^[0-9a-fA-F]{24}$/))) {
+      throw createError(400, 'Invalid id')
+    }
+    return trimmedIds
+  }
+
+  /**
+   * Transforms the data of a swap proposal to a format that can be sent as a response.
+   *
+   * @param {object} proposal - The proposal to transform, with the users and puzzles populated.
+   * @returns {object} The transformed proposal data.
+   */
+  #transformProposalData (proposal) {
+    /**
+     * Transforms a puzzle of the proposal. Puzzles that have been deleted are not included.
+     *
+     * @param {object} puzzle - The puzzle.
+     * @returns {object} The transformed puzzle.
+     */
+    const transformPuzzle = (puzzle) => ({
+      id: puzzle.id,
+      title: puzzle.title,
+      piecesNumber: puzzle.piecesNumber ?? null,
+      manufacturer: puzzle.manufacturer || '',
+      imageUrl: `/my/puzzles/${puzzle.id}/image?size=thumbnail`
+    })
+    return {
+      id: proposal.id,
+      status: proposal.status,
+      proposer: proposal.proposer?.username ?? null,
+      recipient: proposal.recipient?.username ?? null,
+      offeredPuzzles: proposal.offeredPuzzles.map(transformPuzzle),
+      requestedPuzzles: proposal.requestedPuzzles.map(transformPuzzle),
+      message: proposal.message,
+      createdAt: proposal.createdAt,
+      respondedAt: proposal.respondedAt
+    }
+  }
+
+  /**
+   * Handles errors when proposing a swap.
+   *
+   * @param {Error} error - The error to handle.
+   * @param {Function} next - Express next middleware function.
+   */
+  #handleAddError (error, next) {
+    if (error.message.includes('SwapProposal validation failed')) {
+      error.status = 400
+      error.message = Object.values(error.errors).map(validationError => validationError.message)
+      next(error)
+    } else {
+      next(error)
+    }
+  }
+}
@@ -0,0 +1,187 @@
+/**
+ * Module for the TagController.
+ *
+ * @author Anja Willsund
+ * @version 1.0.0
+ */
+
+import createError from 'http-errors'
+import mongoose from 'mongoose'
+import { Puzzle } from '../models/puzzle.js'
+import { Tag } from '../models/tag.js'
+
+/**
+ * Encapsulates a controller.
+ */
+export class TagController {
+  /**
+   * Loads a specific tag.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @param {string} id - The id of the tag to load.
+   */
+  async loadTag (req, res, next, id) {
+    try {
+      // This error is added to handle the case when the id is not a valid ObjectId,
+      // which must be a string consisting of exactly 24 hexadecimal characters.
+      if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+        next(createError(400, 'Invalid id'))
+        return
+      }
+      const tag = await Tag.findOne({ _id: id })
+      if (!tag) {
+        next(createError(404, 'Tag not found'))
+        return
+      }
+      req.tag = tag
+
+      next()
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Gets all tags of the authenticated user, in alphabetical order, with the number of puzzles that have each tag.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async getTags (req, res, next) {
+    try {
+      const [tags, counts] = await Promise.all([
+        Tag.find({ owner: req.user.id }).sort({ name: 1 }).collation({ locale: 'sv' }),
+        Puzzle.aggregate([
+          { $match: { owner: new mongoose.Types.ObjectId(req.user.id) } },
+          { $unwind: '$tags' },
+          { $group: { _id: '$tags', count: { $sum: 1 } } }
+        ])
+      ])
+      const countsByTag = new Map(counts.map(({ _id, count }) => [_id.toString(), count]))
+      res.status(200).json(tags.map(tag => ({
+        id: tag.id,
+        name: tag.name,
+        color: tag.color,
+        puzzleCount: countsByTag.get(tag.id) ?? 0
+      })))
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Adds a tag.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async addTag (req, res, next) {
+    try {
+      const tag = await Tag.create({
+        owner: req.user.id,
+        name: req.body.name,
+        ...(req.body.color && { color: req.body.color })
+      })
+      res.status(201).json({ message: 'Tag added successfully.', id: tag.id })
+    } catch (error) {
+      this.#handleAddOrUpdateError(error, next)
+    }
+  }
+
+  /**
+   * Renames the loaded tag or changes its color. All puzzles with the tag get the new name, since they refer to the tag.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async updateTag (req, res, next) {
+    try {
+      const tag = req.tag
+      tag.name = req.body.name ?? tag.name
+      tag.color = req.body.color || tag.color
+
+      await tag.save()
+      res.status(200).json({ message: 'Tag updated successfully.' })
+    } catch (error) {
+      this.#handleAddOrUpdateError(error, next)
+    }
+  }
+
+  /**
+   * Merges the loaded tag into another tag of the authenticated user. All puzzles with the loaded tag get the other tag instead,
+   * and the loaded tag is deleted.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async mergeTag (req, res, next) {
+    try {
+      const source = req.tag
+      const targetId = String(req.body.into ?? '')
+      const target = targetId.match(/^[0-9a-fA-F]{24}$/) && await Tag.findOne({ _id: targetId, owner: req.user.id })
+      if (!target) {
+        throw createError(400, 'Taggen som taggen ska slås ihop med finns inte.')
+      }
+      if (target._id.equals(source._id)) {
+        throw createError(400, 'En tagg kan inte slås ihop med sig själv.')
+      }
+
+      // The tag is replaced in every puzzle by one update, and puzzles that already have both tags only keep the other tag once.
+      const { modifiedCount } = await Puzzle.updateMany({ owner: req.user.id, tags: source._id }, [{
+        $set: {
+          tags: {
+            $concatArrays: [
+              { $filter: { input: '$tags', cond: { $not: { $in: ['$$this', [source._id, target._id]] } } } },
+              [target._id]
+            ]
+          }
+        }
+      }])
+      await source.deleteOne()
+      res.status(200).json({ message: 'Tags merged successfully.', puzzles: modifiedCount })
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Deletes the loaded tag and removes it from all puzzles.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async deleteTag (req, res, next) {
+    try {
+      await Puzzle.updateMany({ owner: req.user.id, tags: req.tag._id }, { $pull: { tags: req.tag._id } })
+      await req.tag.deleteOne()
+      res.status(204).send()
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Handles errors when adding or updating a tag.
+   *
+   * @param {Error} error - The error to handle.
+   * @param {Function} next - Express next middleware function.
+   */
+  #handleAddOrUpdateError (error, next) {
+    if (error.message.includes('E11000 duplicate key error collection')) {
+      next(createError(400, 'Det finns redan en tagg med det namnet. Slå ihop taggarna för att flytta pusslen till den taggen.'))
+    } else if (error.message.includes('Tag validation failed')) {
+      error.status = 400
+      error.message = Object.values(error.errors).map(validationError => validationError.message)
+      next(error)
+    } else {
+      next(error)
+    }
+  }
+}
@@ -0,0 +1,184 @@
+/**
+ * Module for the TwoFactorController.
+ *
+ * @author Anja Willsund
+ * @version 1.0.0
+ */
+
+import crypto from 'crypto'
+import createError from 'http-errors'
+import QRCode from 'qrcode'
+import { User, hashRecoveryCode } from '../models/user.js'
+import { encrypt } from '../utils/encryption.js'
+import { generateSecret, getOtpauthUrl } from '../utils/totp.js'
+
+// The number of recovery codes that are generated.
+const RECOVERY_CODES_NUMBER = 10
+
+/**
+ * Encapsulates a controller.
+ */
+export class TwoFactorController {
+  /**
+   * Gets whether two-factor authentication is enabled for the authenticated user, and the number of unused recovery codes.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async getStatus (req, res, next) {
+    try {
+      const user = await this.#getAuthenticatedUser(req)
+      res.status(200).json({
+        enabled: user.twoFactor.enabled,
+        recoveryCodesLeft: user.twoFactor.enabled ? user.twoFactor.recoveryCodes.length : 0
+      })
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Starts to enable two-factor authentication by creating a new secret, which is sent both as text and as a QR code
+   * that can be scanned with an authenticator app. Two-factor authentication is enabled when a code has been verified.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async setup (req, res, next) {
+    try {
+      const user = await this.#getAuthenticatedUser(req)
+      if (user.twoFactor.enabled) {
+        throw createError(400, 'Tvåfaktorsautentisering är redan aktiverad.')
+      }
+      const secret = generateSecret()
+      user.twoFactor.secret = encrypt(secret)
+      user.twoFactor.lastUsedStep = -1
+
+      await user.save()
+      const otpauthUrl = getOtpauthUrl(secret, user.username)
+      res.status(200).json({
+        secret,
+        otpauthUrl,
+        qrCode: await QRCode.toDataURL(otpauthUrl)
+      })
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Enables two-factor authentication if the submitted code matches the secret created by setup.
+   * The recovery codes are only sent in this response.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async verify (req, res, next) {
+    try {
+      const user = await this.#getAuthenticatedUser(req)
+      if (user.twoFactor.enabled) {
+        throw createError(400, 'Tvåfaktorsautentisering är redan aktiverad.')
+      }
+      if (!user.twoFactor.secret) {
+        throw createError(400, 'Tvåfaktorsautentisering måste först konfigureras.')
+      }
+      if (!user.verifyTwoFactorCode(req.body.code)) {
+        throw createError(400, 'Felaktig kod. Vänligen testa igen.')
+      }
+      user.twoFactor.enabled = true
+      const recoveryCodes = this.#generateRecoveryCodes(user)
+
+      await user.save()
+      res.status(200).json({ message: 'Tvåfaktorsautentisering har aktiverats.', recoveryCodes })
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Replaces the recovery codes of the authenticated user, after checking the password.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async regenerateRecoveryCodes (req, res, next) {
+    try {
+      const user = await this.#getAuthenticatedUser(req)
+      if (!user.twoFactor.enabled) {
+        throw createError(400, 'Tvåfaktorsautentisering är inte aktiverad.')
+      }
+      if (!(await user.checkPassword(req.body.password))) {
+        throw createError(401, 'Felaktigt lösenord. Vänligen testa igen.')
+      }
+      const recoveryCodes = this.#generateRecoveryCodes(user)
+
+      await user.save()
+      res.status(200).json({ recoveryCodes })
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Disables two-factor authentication, after checking the password and a code from the authenticator app or a recovery code.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async disable (req, res, next) {
+    try {
+      const user = await this.#getAuthenticatedUser(req)
+      if (!user.twoFactor.enabled) {
+        throw createError(400, 'Tvåfaktorsautentisering är inte aktiverad.')
+      }
+      if (!(await user.checkPassword(req.body.password))) {
+        throw createError(401, 'Felaktigt lösenord. Vänligen testa igen.')
+      }
+      if (!user.verifyTwoFactorCode(req.body.code)) {
+        throw createError(401, 'Felaktig kod. Vänligen testa igen.')
+      }
+      user.twoFactor = { enabled: false, secret: null, lastUsedStep: -1, recoveryCodes: [] }
+
+      await user.save()
+      res.status(200).json({ message: 'Tvåfaktorsautentisering har inaktiverats.' })
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Gets the authenticated user.
+   *
+   * @param {object} req - Express request object.
+   * @returns {Promise<object>} The authenticated user.
+   * @throws {Error} If the user does not exist.
+   */
+  async #getAuthenticatedUser (req) {
+    const user = await User.findById(req.user.id)
+    if (!user) {
+      throw createError(404, 'Användaren hittades inte.')
+    }
+    return user
+  }
+
+  /**
+   * Generates new recovery codes for a user. Only hashes of the codes are saved on the user.
+   *
+   * @param {object} user - The user.
+   * @returns {string[]} The recovery codes.
+   */
+  #generateRecoveryCodes (user) {
+    const recoveryCodes = []
+    for (let i = 0; i < RECOVERY_CODES_NUMBER; i++) {
+      const code = crypto.randomBytes(5).toString('hex')
+      recoveryCodes.push(`${code.slice(0, 5)}-${code.slice(5)}`)
+    }
+    user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode)
+    return recoveryCodes
+  }
+}
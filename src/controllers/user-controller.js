@@ -5,8 +5,31 @@
  * @version 1.0.0
  */
 
+import createError from 'http-errors'
+import { FriendRequest } from '../models/friend-request.js'
+import { Loan } from '../models/loan.js'
+import { Location } from '../models/location.js'
+import { PasswordResetToken } from '../models/password-reset-token.js'
+import { Puzzle } from '../models/puzzle.js'
+import { PuzzleImage } from '../models/puzzle-image.js'
+import { Shelf } from '../models/shelf.js'
+import { SwapProposal } from '../models/swap-proposal.js'
+import { Tag } from '../models/tag.js'
 import { User } from '../models/user.js'
-import jwt from 'jsonwebtoken'
+import { WishlistItem } from '../models/wishlist-item.js'
+import { sendMail } from '../utils/mail.js'
+import { assertNotLockedOut, registerFailedLogin, resetFailedLogins } from '../utils/rate-limit.js'
+import {
+  createPasswordResetToken,
+  getPasswordResetTokenUser,
+  issueTokens,
+  issueTwoFactorChallenge,
+  revokeAllTokens,
+  revokeFamily,
+  rotateRefreshToken,
+  usePasswordResetToken,
+  verifyTwoFactorChallenge
+} from '../utils/tokens.js'
 
 /**
  * Encapsulates a controller.
@@ -22,23 +45,61 @@ export class UserController {
   async loginPost (req, res, next) {
     try {
       req.body.username = req.body.username.trim().toLowerCase()
-      let token
       // Checks if submitted username and password matches any saved data in database.
-      if (await User.authenticate(req.body.username, req.body.password)) {
-        const user = await User.findOne({ username: req.body.username })
-
-        // Payload to be stored in the JWT token
-        const payload = {
-          id: user.id.toString()
-        }
+      let user
+      try {
+        user = await User.authenticate(req.body.username, req.body.password)
+      } catch (error) {
+        // Repeated failed logins lock the username for a while, to protect the account against brute-force attacks.
+        await registerFailedLogin(req.body.username)
+        throw error
+      }
 
-        // Generate a new JWT token with user data, using the JWT secret and setting it to expire in 1 hour
-        token = jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '1h' })
-        res.status(200).json(token)
+      // Users with two-factor authentication must also submit a code, with the challenge token, to /login/2fa.
+      // The failed logins are not forgotten until the code has been submitted, so that the code can't be guessed.
+      if (user.twoFactor.enabled) {
+        res.status(200).json({ twoFactorRequired: true, challengeToken: issueTwoFactorChallenge(user.id) })
+        return
       }
+      await resetFailedLogins(req.body.username)
+
+      // Generate a new access token and refresh token for the user
+      const tokens = await issueTokens(user.id)
+      res.status(200).json(tokens)
     } catch (error) {
       console.error('Error: ' + error.message)
-      error.status = 401
+      error.status = error.status || 401
+      next(error)
+    }
+  }
+
+  /**
+   * Completes the login of a user with two-factor authentication, with a code from the authenticator app or a recovery code.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async loginTwoFactorPost (req, res, next) {
+    try {
+      const userId = verifyTwoFactorChallenge(req.body.challengeToken)
+      const user = await User.findById(userId)
+      if (!user || !user.twoFactor.enabled) {
+        throw createError(401, 'Inloggningen har gått ut. Vänligen logga in igen.')
+      }
+      await assertNotLockedOut(user.username)
+
+      if (!user.verifyTwoFactorCode(req.body.code)) {
+        await registerFailedLogin(user.username)
+        throw createError(401, 'Felaktig kod. Vänligen testa igen.')
+      }
+      // Save that the code has been used.
+      await user.save()
+      await resetFailedLogins(user.username)
+
+      const tokens = await issueTokens(user.id)
+      res.status(200).json(tokens)
+    } catch (error) {
       next(error)
     }
   }
@@ -59,45 +120,303 @@ export class UserController {
       req.body.username = req.body.username.trim().toLowerCase()
       const user = new User({
         username: req.body.username,
-        password: req.body.password
+        password: req.body.password,
+        email: req.body.email || undefined
       })
 
       await user.save()
       res.status(201).json({ message: 'Ditt konto har skapats! Logga in för att använda applikationen.' })
     } catch (error) {
-      if (error.message.includes('E11000 duplicate key error collection')) {
-        error.message = 'Användarnamnet är inte tillgängligt.'
-      } else if (error.message.includes('User validation failed:')) {
-        if (error.message.includes('username:')) {
-          error.message = 'Användarnamnet måste innehålla mellan 1-50 tecken och får endast innehålla bokstäver och siffror.'
-        } else if (error.message.includes('password:')) {
-          error.message = 'Lösenordet måste innehålla mellan 10-2 000 tecken.'
-        }
+      this.#handleUserValidationError(error, next)
+    }
+  }
+
+  /**
+   * Exchanges a refresh token for a new access token and refresh token.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async refreshPost (req, res, next) {
+    try {
+      const tokens = await rotateRefreshToken(req.body.refreshToken)
+      res.status(200).json(tokens)
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Logs out the user by revoking the access token and refresh token of the current login.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async logout (req, res, next) {
+    try {
+      if (req.user.sid) {
+        await revokeFamily(req.user.sid)
+      } else {
+        // Tokens issued before refresh tokens existed don't belong to a login, so all tokens of the user are revoked.
+        await revokeAllTokens(req.user.id)
       }
+      res.status(200).json()
+    } catch (error) {
       console.error('Error: ' + error.message)
+      error.message = 'Fel vid utloggning. Vänligen försök igen.'
       error.status = 400
       next(error)
     }
   }
 
   /**
-   * Logs out the user.
+   * Logs out the user from all devices by revoking all access tokens and refresh tokens of the user.
    *
    * @param {object} req - Express request object.
    * @param {object} res - Express response object.
    * @param {Function} next - Express next middleware function.
    */
-  async logout (req, res, next) {
+  async logoutAll (req, res, next) {
     try {
-    // Destroys the session when logging out.
-      req.session.destroy(() => {
-        res.status(200).json()
-      })
+      await revokeAllTokens(req.user.id)
+      res.status(200).json()
     } catch (error) {
       console.error('Error: ' + error.message)
-      error.message('Fel vid utloggning. Vänligen försök igen.')
+      error.message = 'Fel vid utloggning. Vänligen försök igen.'
       error.status = 400
       next(error)
     }
   }
+
+  /**
+   * Changes the password of the authenticated user, after checking the current password.
+   * The user is logged out from all other devices, but stays logged in on the current device.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async changePassword (req, res, next) {
+    try {
+      const user = await this.#getAuthenticatedUser(req)
+      await this.#checkPassword(user, req.body.currentPassword)
+      // Checks if the password and repeated password match
+      if (req.body.newPassword !== req.body.repeatPassword) {
+        throw createError(400, 'Lösenorden stämmer inte överens. Vänligen försök igen.')
+      }
+      user.password = req.body.newPassword
+
+      await user.save()
+      if (req.user.sid) {
+        // The current login is kept, so the client can go on using its tokens.
+        await revokeAllTokens(user.id, req.user.sid)
+        res.status(200).json({ message: 'Lösenordet har ändrats.' })
+        return
+      }
+      // Tokens issued before refresh tokens existed don't belong to a login, so all tokens are revoked and new tokens are sent.
+      await revokeAllTokens(user.id)
+      const tokens = await issueTokens(user.id)
+      res.status(200).json({ message: 'Lösenordet har ändrats.', ...tokens })
+    } catch (error) {
+      this.#handleUserValidationError(error, next)
+    }
+  }
+
+  /**
+   * Changes the username of the authenticated user.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async changeUsername (req, res, next) {
+    try {
+      const user = await this.#getAuthenticatedUser(req)
+      user.username = (req.body.username || '').trim().toLowerCase()
+
+      await user.save()
+      // The name of the borrower is saved on puzzles and loans, so it is updated for puzzles borrowed by the user.
+      await Promise.all([
+        Puzzle.updateMany({ lentOutTo: user._id }, { lentOutToString: user.username }),
+        Loan.updateMany({ borrower: user._id }, { borrowerName: user.username })
+      ])
+      res.status(200).json({ message: 'Användarnamnet har ändrats.', username: user.username })
+    } catch (error) {
+      this.#handleUserValidationError(error, next)
+    }
+  }
+
+  /**
+   * Changes the email of the authenticated user. The email is removed if no email is submitted.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async changeEmail (req, res, next) {
+    try {
+      const user = await this.#getAuthenticatedUser(req)
+      user.email = req.body.email || undefined
+
+      await user.save()
+      res.status(200).json({ message: 'E-postadressen har ändrats.', email: user.email || null })
+    } catch (error) {
+      this.#handleUserValidationError(error, next)
+    }
+  }
+
+  /**
+   * Sends a link to reset the password to the submitted email, if it belongs to a user.
+   * The same response is sent whether or not the email belongs to a user, so that the response can't be used to find out which emails are registered.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async requestPasswordReset (req, res, next) {
+    try {
+      const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : ''
+      if (!email) {
+        throw createError(400, 'E-postadressen måste anges.')
+      }
+      const user = await User.findOne({ email })
+      if (user) {
+        const token = await createPasswordResetToken(user.id)
+        // An error when the mail is sent is only logged, since an error response would show that the email is registered.
+        await sendMail({
+          to: user.email,
+          subject: 'Återställ ditt lösenord',
+          text: `Hej ${user.username}!\n\n` +
+            'Klicka på länken nedan för att välja ett nytt lösenord. Länken kan användas en gång och gäller i en timme.\n\n' +
+            `${process.env.FRONTEND}/reset-password?token=${token}\n\n` +
+            'Om du inte har bett om att återställa ditt lösenord kan du bortse från det här meddelandet.'
+        }).catch(error => console.error('Error: ' + error.message))
+      }
+      res.status(200).json({ message: 'Om e-postadressen tillhör ett konto har en länk för att återställa lösenordet skickats.' })
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Sets a new password with a password reset token. The user is logged out from all devices.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async confirmPasswordReset (req, res, next) {
+    try {
+      // Checks if the password and repeated password match
+      if (req.body.password !== req.body.repeatPassword) {
+        throw createError(400, 'Lösenorden stämmer inte överens. Vänligen försök igen.')
+      }
+      const userId = await getPasswordResetTokenUser(req.body.token)
+      const user = await User.findById(userId)
+      if (!user) {
+        throw createError(400, 'Länken för att återställa lösenordet är ogiltig eller har gått ut.')
+      }
+      user.password = req.body.password
+
+      // The password is validated before the token is used, so that the token can be used again with a valid password.
+      await user.validate()
+      await usePasswordResetToken(req.body.token)
+      await user.save()
+      await revokeAllTokens(user.id)
+      res.status(200).json({ message: 'Lösenordet har ändrats. Logga in med ditt nya lösenord.' })
+    } catch (error) {
+      this.#handleUserValidationError(error, next)
+    }
+  }
+
+  /**
+   * Deletes the account of the authenticated user, after checking the password,
+   * together with all puzzles, images, tags, shelves, locations, wishlist items, loans, swap proposals, friendships and tokens of the user.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async deleteAccount (req, res, next) {
+    try {
+      const user = await this.#getAuthenticatedUser(req)
+      await this.#checkPassword(user, req.body.password)
+
+      // Puzzles that the user has borrowed are still lent out, but to someone without an account.
+      await Puzzle.updateMany({ lentOutTo: user._id }, { lentOutTo: null })
+      await Promise.all([
+        Puzzle.deleteMany({ owner: user._id }),
+        PuzzleImage.deleteMany({ owner: user._id }),
+        Tag.deleteMany({ owner: user._id }),
+        Shelf.deleteMany({ owner: user._id }),
+        Location.deleteMany({ owner: user._id }),
+        WishlistItem.deleteMany({ owner: user._id }),
+        WishlistItem.updateMany({ reservedBy: user._id }, { reservedBy: null, reservedAt: null }),
+        Loan.deleteMany({ $or: [{ owner: user._id }, { borrower: user._id, status: { $ne: 'active' } }] }),
+        Loan.updateMany({ borrower: user._id, status: 'active' }, { borrower: null }),
+        SwapProposal.deleteMany({ $or: [{ proposer: user._id }, { recipient: user._id }] }),
+        FriendRequest.deleteMany({ $or: [{ from: user._id }, { to: user._id }] }),
+        PasswordResetToken.deleteMany({ user: user._id }),
+        User.updateMany({ friends: user._id }, { $pull: { friends: user._id } })
+      ])
+      await User.deleteOne({ _id: user._id })
+      await revokeAllTokens(user.id)
+      res.status(204).send()
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Gets the authenticated user.
+   *
+   * @param {object} req - Express request object.
+   * @returns {Promise<object>} The authenticated user.
+   * @throws {Error} If the user does not exist.
+   */
+  async #getAuthenticatedUser (req) {
+    const user = await User.findById(req.user.id)
+    if (!user) {
+      throw createError(404, 'Användaren hittades inte.')
+    }
+    return user
+  }
+
+  /**
+   * Checks if the submitted password matches the password of a user.
+   *
+   * @param {object} user - The user.
+   * @param {string} password - The submitted password.
+   * @throws {Error} If the password is wrong.
+   */
+  async #checkPassword (user, password) {
+    if (!(await user.checkPassword(password))) {
+      throw createError(401, 'Felaktigt lösenord. Vänligen testa igen.')
+    }
+  }
+
+  /**
+   * Handles errors when creating or updating a user.
+   *
+   * @param {Error} error - The error to handle.
+   * @param {Function} next - Express next middleware function.
+   */
+  #handleUserValidationError (error, next) {
+    if (error.message.includes('E11000 duplicate key error collection')) {
+      error.message = error.message.includes('email') ? 'E-postadressen används redan av ett annat konto.' : 'Användarnamnet är inte tillgängligt.'
+    } else if (error.message.includes('User validation failed:')) {
+      if (error.message.includes('email:')) {
+        error.message = error.errors.email.message
+      } else if (error.message.includes('username:')) {
+        error.message = 'Användarnamnet måste innehålla mellan 1-50 tecken och får endast innehålla bokstäver och siffror.'
+      } else if (error.message.includes('password:')) {
+        error.message = 'Lösenordet måste innehålla mellan 10-2 000 tecken.'
+      }
+    }
+    console.error('Error: ' + error.message)
+    error.status = error.status || 400
+    next(error)
+  }
 }
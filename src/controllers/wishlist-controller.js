@@ -0,0 +1,255 @@
+/**
+ * Module for the WishlistController.
+ *
+ * @author Anja Willsund
+ * @version 1.0.0
+ */
+
+import createError from 'http-errors'
+import { WishlistItem, compareWishlistItems } from '../models/wishlist-item.js'
+
+/**
+ * Encapsulates a controller.
+ */
+export class WishlistController {
+  /**
+   * Loads a specific wishlist item.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @param {string} id - The id of the item to load.
+   */
+  async loadItem (req, res, next, id) {
+    try {
+      // This error is added to handle the case when the id is not a valid ObjectId,
+      // which must be a string consisting of exactly 24 hexadecimal characters.
+      if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+        next(createError(400, 'Invalid id'))
+        return
+      }
+      const item = await WishlistItem.findOne({ _id: id })
+      if (!item) {
+        next(createError(404, 'Wishlist item not found'))
+        return
+      }
+      req.wishlistItem = item
+
+      next()
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Gets the wishlist of the authenticated user, with the highest priority first.
+   * The owner can see that an item is reserved, but not by whom.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async getWishlist (req, res, next) {
+    try {
+      const items = await WishlistItem.find({ owner: req.user.id })
+      res.status(200).json(items.sort(compareWishlistItems).map(item => this.#transformItem(item)))
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Adds an item to the wishlist of the authenticated user.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async addItem (req, res, next) {
+    try {
+      const item = await WishlistItem.create({
+        ...this.#updateItemInput(req.body),
+        owner: req.user.id
+      })
+      res.status(201).json({ message: 'Wishlist item added successfully.', id: item.id })
+    } catch (error) {
+      this.#handleAddOrUpdateError(error, next)
+    }
+  }
+
+  /**
+   * Updates the loaded wishlist item. The reservation is not changed.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async updateItem (req, res, next) {
+    try {
+      req.wishlistItem.set(this.#updateItemInput(req.body))
+
+      await req.wishlistItem.save()
+      res.status(200).json({ message: 'Wishlist item updated successfully.' })
+    } catch (error) {
+      this.#handleAddOrUpdateError(error, next)
+    }
+  }
+
+  /**
+   * Deletes the loaded wishlist item.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async deleteItem (req, res, next) {
+    try {
+      await req.wishlistItem.deleteOne()
+      res.status(204).send()
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Gets the wishlist of the loaded friend, with whether each item is reserved, and whether it is reserved by the authenticated user.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async getFriendWishlist (req, res, next) {
+    try {
+      const items = await WishlistItem.find({ owner: req.otherUser._id })
+      res.status(200).json(items.sort(compareWishlistItems).map(item => ({
+        ...this.#transformItem(item),
+        isReservedByMe: Boolean(item.reservedBy?.equals(req.user.id))
+      })))
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Reserves the loaded item of the loaded friend's wishlist as a gift from the authenticated user.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async reserveItem (req, res, next) {
+    try {
+      this.#checkFriendItem(req)
+      // The item is only reserved if no one else has reserved it, even if two friends reserve it at the same time.
+      const item = await WishlistItem.findOneAndUpdate(
+        { _id: req.wishlistItem._id, reservedBy: null },
+        { reservedBy: req.user.id, reservedAt: new Date() }
+      )
+      if (!item) {
+        throw createError(409, 'Önskningen är redan reserverad.')
+      }
+      res.status(200).json({ message: 'Wishlist item reserved successfully.' })
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Cancels the authenticated user's reservation of the loaded item of the loaded friend's wishlist.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async cancelReservation (req, res, next) {
+    try {
+      this.#checkFriendItem(req)
+      const item = await WishlistItem.findOneAndUpdate(
+        { _id: req.wishlistItem._id, reservedBy: req.user.id },
+        { reservedBy: null, reservedAt: null }
+      )
+      if (!item) {
+        throw createError(404, 'Du har inte reserverat önskningen.')
+      }
+      res.status(204).send()
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Checks that the loaded item is on the loaded friend's wishlist.
+   * Items of other users are handled as if they did not exist.
+   *
+   * @param {object} req - Express request object.
+   * @throws {Error} If the item is not on the friend's wishlist.
+   */
+  #checkFriendItem (req) {
+    if (req.wishlistItem.owner.toString() !== req.otherUser.id) {
+      throw createError(404, 'Wishlist item not found')
+    }
+  }
+
+  /**
+   * Transforms a wishlist item to the format that is sent as a response. Who reserved the item is never included.
+   *
+   * @param {object} item - The wishlist item.
+   * @returns {object} The transformed item.
+   */
+  #transformItem (item) {
+    return {
+      id: item.id,
+      title: item.title,
+      manufacturer: item.manufacturer,
+      piecesNumber: item.piecesNumber,
+      priority: item.priority,
+      targetPrice: item.targetPrice,
+      link: item.link,
+      isReserved: Boolean(item.reservedBy),
+      createdAt: item.createdAt
+    }
+  }
+
+  /**
+   * Updates the wishlist item input.
+   *
+   * @param {object} body - The submitted item.
+   * @returns {object} The updated item input.
+   * @throws {Error} If the number of pieces or the target price is not a number.
+   */
+  #updateItemInput (body) {
+    const fieldsToCheck = {
+      piecesNumber: 'Antal bitar',
+      targetPrice: 'Målpris'
+    }
+    for (const [key, name] of Object.entries(fieldsToCheck)) {
+      if (body[key] && isNaN(body[key])) {
+        throw createError(400, `Det angivna värdet för "${name}" är inte ett giltigt nummer.`)
+      }
+    }
+    return {
+      title: body.title,
+      manufacturer: body.manufacturer || '',
+      piecesNumber: body.piecesNumber ? Number(body.piecesNumber) : null,
+      priority: body.priority || 'medium',
+      targetPrice: body.targetPrice ? Number(body.targetPrice) : null,
+      link: body.link || ''
+    }
+  }
+
+  /**
+   * Handles errors when adding or updating a wishlist item.
+   *
+   * @param {Error} error - The error to handle.
+   * @param {Function} next - Express next middleware function.
+   */
+  #handleAddOrUpdateError (error, next) {
+    if (error.message.includes('WishlistItem validation failed')) {
+      error.status = 400
+      error.message = Object.values(error.errors).map(validationError => validationError.message)
+      next(error)
+    } else {
+      next(error)
+    }
+  }
+}
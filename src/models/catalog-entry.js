@@ -0,0 +1,124 @@
+/**
+ * Mongoose model CatalogEntry.
+ *
+ * @author Anja Willsund
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose'
+import { isValidEan } from '../utils/ean.js'
+
+// The fields of a catalog entry that are copied from the puzzles of the users.
+export const CATALOG_FIELDS = ['title', 'manufacturer', 'piecesNumber', 'sizeHeight', 'sizeWidth']
+
+// Create a catalog entry schema. The catalog is shared by all users and is used to fill in the details of a puzzle from the EAN code on the box.
+const schema = new mongoose.Schema({
+  ean: {
+    type: String,
+    required: true,
+    unique: true,
+    validate: {
+      validator: isValidEan,
+      message: 'EAN-koden är ogiltig. Den måste bestå av 8, 12 eller 13 siffror.'
+    }
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxLength: 100
+  },
+  manufacturer: {
+    type: String,
+    default: '',
+    trim: true,
+    maxLength: 50
+  },
+  piecesNumber: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  sizeHeight: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  sizeWidth: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  // The box image, as a medium sized PNG.
+  image: {
+    data: {
+      type: Buffer,
+      default: null
+    },
+    etag: {
+      type: String,
+      default: null
+    },
+    // True if the image was added by a user who chose to share it. Images added by users before they could choose are removed by src/config/migrations.js.
+    shared: {
+      type: Boolean
+    }
+  },
+  // Entries from the seed file are not changed by the puzzles of the users.
+  source: {
+    type: String,
+    enum: ['seed', 'user'],
+    default: 'user'
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+})
+
+/**
+ * Adds the details of a puzzle with an EAN code to the catalog. An existing entry is never overwritten,
+ * but details that are missing from a user entry, including the box image, are filled in.
+ * The catalog can be read by every user, so the uploaded image is only added if the user has chosen to share it,
+ * and never for private puzzles, since a photo may show more than the box.
+ *
+ * @param {object} puzzle - The saved puzzle.
+ * @param {object[]|null} imageVariants - The variants of the uploaded box image, if the user has chosen to share it.
+ */
+schema.statics.contribute = async function (puzzle, imageVariants) {
+  if (!puzzle.ean) {
+    return
+  }
+  const image = !puzzle.isPrivate && imageVariants?.find(variant => variant.size === 'medium' && variant.format === 'png')
+
+  const entry = await this.findOne({ ean: puzzle.ean })
+  if (!entry) {
+    const details = Object.fromEntries(CATALOG_FIELDS.map(field => [field, puzzle[field] || undefined]))
+    // Another user may add the same EAN code at the same time, in which case their entry is kept.
+    await this.updateOne(
+      { ean: puzzle.ean },
+      { $setOnInsert: { ...details, ean: puzzle.ean, source: 'user', ...(image && { image: { data: image.data, etag: image.etag, shared: true } }) } },
+      { upsert: true, runValidators: true }
+    ).catch(error => {
+      if (error.code !== 11000) {
+        throw error
+      }
+    })
+    return
+  }
+  if (entry.source === 'user') {
+    for (const field of CATALOG_FIELDS) {
+      if (!entry[field] && puzzle[field]) {
+        entry[field] = puzzle[field]
+      }
+    }
+  }
+  if (!entry.image?.data && image) {
+    entry.image = { data: image.data, etag: image.etag, shared: true }
+  }
+  if (entry.isModified()) {
+    await entry.save()
+  }
+}
+
+// Create a model using the schema.
+export const CatalogEntry = mongoose.model('CatalogEntry', schema)
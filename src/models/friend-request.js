@@ -0,0 +1,31 @@
+/**
+ * Mongoose model FriendRequest.
+ *
+ * @author Anja Willsund
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose'
+
+// Create a friend request schema.
+const schema = new mongoose.Schema({
+  from: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  to: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+})
+
+// A user can only have one pending request to another user.
+schema.index({ from: 1, to: 1 }, { unique: true })
+
+// Create a model using the schema.
+export const FriendRequest = mongoose.model('FriendRequest', schema)
@@ -0,0 +1,73 @@
+/**
+ * Mongoose model Loan.
+ *
+ * @author Anja Willsund
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose'
+
+// Create a loan schema.
+const schema = new mongoose.Schema({
+  puzzle: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Puzzle',
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The borrower is only set if the puzzle is lent out to a registered user.
+  borrower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // The name of the borrower is required if the puzzle is lent out to someone without an account.
+  borrowerName: {
+    type: String,
+    required: [function () {
+      return !this.borrower
+    }, 'Namnet på personen som pusslet är utlånat till måste anges.'],
+    trim: true,
+    maxLength: [50, 'Namnet på personen som pusslet är utlånat till får inte innehålla fler än 50 tecken.']
+  },
+  // requested: the borrower has asked to borrow the puzzle.
+  // declined: the owner has declined the request.
+  // active: the owner has approved the request and the puzzle is lent out.
+  // returned: the puzzle has been returned to the owner.
+  status: {
+    type: String,
+    enum: ['requested', 'declined', 'active', 'returned'],
+    default: 'requested'
+  },
+  lentOutAt: {
+    type: Date,
+    default: null
+  },
+  dueDate: {
+    type: Date,
+    default: null
+  },
+  returnedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+})
+
+// A user can only have one pending request for a puzzle.
+schema.index({ puzzle: 1, borrower: 1 }, { unique: true, partialFilterExpression: { status: 'requested' } })
+
+// Makes it possible to find overdue loans without scanning all loans.
+schema.index({ owner: 1, status: 1, dueDate: 1 })
+
+// A puzzle can only be lent out to one person at a time.
+schema.index({ puzzle: 1 }, { unique: true, partialFilterExpression: { status: 'active' } })
+
+// Create a model using the schema.
+export const Loan = mongoose.model('Loan', schema)
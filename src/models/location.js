@@ -0,0 +1,120 @@
+/**
+ * Mongoose model Location.
+ *
+ * @author Anja Willsund
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose'
+
+// The maximum length of the name of a location.
+export const MAX_LOCATION_NAME_LENGTH = 100
+
+// The separator between the names of the locations in the path to a location, e.g. "Hus > Vind > Låda 3".
+export const LOCATION_PATH_SEPARATOR = ' > '
+
+/**
+ * Normalizes the name of a location, so that e.g. "Vind, låda 3" and "vind låda 3" are the same location.
+ * The case, punctuation and the number of spaces are ignored.
+ *
+ * @param {string} name - The name of the location.
+ * @returns {string} The normalized name.
+ */
+export const normalizeLocationName = (name) => String(name).normalize('NFC').toLowerCase().replace(/[\s,.;:_/\\-]+/g, ' ').trim()
+
+// Create a location schema. The locations of a user form a hierarchy, e.g. house, room, shelf and box,
+// and the ids of all ancestors of a location are saved with it, so that all descendants can be found with one query.
+const schema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Platsens namn måste anges.'],
+    trim: true,
+    maxLength: [MAX_LOCATION_NAME_LENGTH, `Platsens namn får inte innehålla fler än ${MAX_LOCATION_NAME_LENGTH} tecken.`],
+    // > separates the locations in the path to a location.
+    match: [/^[^>]*$/, 'Platsens namn får inte innehålla tecknet >.']
+  },
+  // Used to make the names unique among the children of a location.
+  normalizedName: {
+    type: String,
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: {
+      values: ['house', 'room', 'shelf', 'box', 'other'],
+      message: 'Typen av plats måste vara house, room, shelf, box eller other.'
+    },
+    default: 'other'
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    default: null
+  },
+  // The ids of the ancestors of the location, starting with the top location.
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  }]
+}, {
+  timestamps: true,
+  versionKey: false
+})
+
+schema.index({ owner: 1, parent: 1, normalizedName: 1 }, { unique: true })
+schema.index({ owner: 1, ancestors: 1 })
+
+schema.pre('validate', function () {
+  if (this.isModified('name')) {
+    this.normalizedName = normalizeLocationName(this.name)
+  }
+})
+
+/**
+ * Gets the id of the location at the end of a path of location names, e.g. ["Hus", "Vind", "Låda 3"].
+ * Locations in the path that don't exist are created.
+ *
+ * @param {string} owner - The id of the user.
+ * @param {string[]} names - The names of the locations in the path, starting with the top location.
+ * @returns {Promise<object>} The id of the location.
+ */
+schema.statics.findOrCreatePath = async function (owner, names) {
+  let parent = null
+  const ancestors = []
+  for (const name of names) {
+    // Another request may create the same location at the same time, so the location is upserted.
+    const location = await this.findOneAndUpdate(
+      { owner, parent, normalizedName: normalizeLocationName(name) },
+      { $setOnInsert: { name: name.trim(), ancestors: [...ancestors] } },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    )
+    parent = location._id
+    ancestors.push(location._id)
+  }
+  return parent
+}
+
+/**
+ * Gets the names and paths of locations.
+ *
+ * @param {object[]} ids - The ids of the locations.
+ * @returns {Promise<Map<string, object>>} The id, name and path of each location, by id.
+ */
+schema.statics.getPaths = async function (ids) {
+  const locations = await this.find({ _id: { $in: ids } }, 'name ancestors')
+  const ancestors = await this.find({ _id: { $in: locations.flatMap(location => location.ancestors) } }, 'name')
+  const names = new Map([...locations, ...ancestors].map(location => [location.id, location.name]))
+  return new Map(locations.map(location => [location.id, {
+    id: location.id,
+    name: location.name,
+    path: [...location.ancestors.map(ancestor => names.get(ancestor.toString())), location.name].join(LOCATION_PATH_SEPARATOR)
+  }]))
+}
+
+// Create a model using the schema.
+export const Location = mongoose.model('Location', schema)
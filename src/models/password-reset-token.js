@@ -0,0 +1,42 @@
+/**
+ * Mongoose model PasswordResetToken.
+ *
+ * @author Anja Willsund
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose'
+
+// Create a password reset token schema. Only a hash of the token is saved, so a leaked database can't be used to reset passwords.
+const schema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Set when the token has been used to reset the password. A used token can not be used again.
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+})
+
+schema.index({ user: 1 })
+
+// Expired tokens are removed by MongoDB.
+schema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+// Create a model using the schema.
+export const PasswordResetToken = mongoose.model('PasswordResetToken', schema)
@@ -0,0 +1,76 @@
+/**
+ * Mongoose model PuzzleImage.
+ *
+ * @author Anja Willsund
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose'
+
+// Create a puzzle image schema. Every size and format of an image is saved as a separate document,
+// so that only the requested variant has to be loaded.
+const schema = new mongoose.Schema({
+  puzzle: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Puzzle',
+    required: true
+  },
+  // The id of the photo in the photos of the puzzle. Images saved before puzzles had photos have no photo.
+  photo: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  size: {
+    type: String,
+    enum: ['thumbnail', 'medium', 'large', 'original'],
+    required: true
+  },
+  // The original is saved in the format of the uploaded image, which can be any of ORIGINAL_FORMATS in src/utils/image-processing.js.
+  format: {
+    type: String,
+    enum: ['png', 'webp', 'avif', 'jpeg', 'gif', 'tiff', 'heif'],
+    required: true
+  },
+  width: {
+    type: Number,
+    required: true
+  },
+  height: {
+    type: Number,
+    required: true
+  },
+  data: {
+    type: Buffer,
+    required: true
+  },
+  etag: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+})
+
+schema.index({ puzzle: 1, photo: 1, size: 1, format: 1 })
+
+/**
+ * Replaces the variants of a photo of a puzzle.
+ *
+ * @param {object} puzzle - The puzzle that the photo belongs to.
+ * @param {object} photoId - The id of the photo.
+ * @param {object[]} variants - The new variants of the photo.
+ * @param {object} [session] - The session of the transaction that the variants are replaced in, if any.
+ */
+schema.statics.replaceVariants = async function (puzzle, photoId, variants, session = null) {
+  await this.deleteMany({ puzzle: puzzle._id, photo: photoId }, { session })
+  await this.insertMany(variants.map(variant => ({ ...variant, puzzle: puzzle._id, photo: photoId, owner: puzzle.owner })), { session })
+}
+
+// Create a model using the schema.
+export const PuzzleImage = mongoose.model('PuzzleImage', schema)
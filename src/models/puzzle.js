@@ -5,8 +5,207 @@
  * @version 1.0.0
  */
 
-import crypto from 'crypto'
 import mongoose from 'mongoose'
+import { isValidEan } from '../utils/ean.js'
+import { encrypt } from '../utils/encryption.js'
+
+// Create a schema for the sessions in which a puzzle has been played.
+const sessionSchema = new mongoose.Schema({
+  startedAt: {
+    type: Date,
+    required: [true, 'Datumet då pusslet påbörjades måste anges.']
+  },
+  finishedAt: {
+    type: Date,
+    required: false,
+    validate: {
+      /**
+       * Validates that the puzzle was not finished before it was started.
+       *
+       * @param {Date} value - The submitted date.
+       * @returns {boolean} True if the submitted date is valid, otherwise false.
+       */
+      validator: function (value) {
+        return !value || !this.startedAt || value >= this.startedAt
+      },
+      message: 'Datumet då pusslet lades färdigt kan inte vara före datumet då det påbörjades.'
+    }
+  },
+  // The time spent on the puzzle, in minutes.
+  timeSpent: {
+    type: Number,
+    required: false,
+    validate: {
+      /**
+       * Validates that the submitted time spent is an integer between 1 and 100 000.
+       *
+       * @param {number} value - The submitted time spent.
+       * @returns {boolean} True if the submitted time spent is valid, otherwise false.
+       */
+      validator: function (value) {
+        return value === null || (Number.isInteger(value) && value >= 1 && value <= 100000)
+      },
+      message: 'Tiden måste vara ett heltal mellan 1 och 100 000 minuter.'
+    }
+  },
+  players: {
+    type: String,
+    required: false,
+    trim: true,
+    maxLength: [100, 'Namnen på dem som lade pusslet får inte innehålla fler än 100 tecken.']
+  },
+  note: {
+    type: String,
+    required: false,
+    trim: true,
+    maxLength: [1000, 'Anteckningen får inte innehålla fler än 1 000 tecken.']
+  }
+}, {
+  toJSON: {
+    virtuals: true, // ensure virtual fields are serialized
+    /**
+     * Performs a transformation of the resulting object to remove mongoose specific fields.
+     *
+     * @param {object} doc - The mongoose document which is being converted.
+     * @param {object} ret - The plain object representation which has been converted.
+     */
+    transform: function (doc, ret) {
+      delete ret._id
+    }
+  }
+})
+
+// Create a schema for the photos of a puzzle. The images of the photos are saved as PuzzleImage documents.
+const photoSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: {
+      values: ['boxFront', 'boxBack', 'finished', 'damage', 'other'],
+      message: 'Typen av foto måste vara en av följande: boxFront, boxBack, finished, damage, other.'
+    },
+    default: 'other'
+  },
+  caption: {
+    type: String,
+    required: false,
+    trim: true,
+    maxLength: [200, 'Bildtexten får inte innehålla fler än 200 tecken.']
+  }
+}, {
+  toJSON: {
+    virtuals: true, // ensure virtual fields are serialized
+    /**
+     * Performs a transformation of the resulting object to remove mongoose specific fields.
+     *
+     * @param {object} doc - The mongoose document which is being converted.
+     * @param {object} ret - The plain object representation which has been converted.
+     */
+    transform: function (doc, ret) {
+      delete ret._id
+    }
+  }
+})
+
+// Create a schema for the missing and damaged pieces of a puzzle.
+const missingPieceSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: {
+      values: ['missing', 'damaged'],
+      message: 'Typen av bit måste vara missing eller damaged.'
+    },
+    default: 'missing'
+  },
+  // The position of the piece on the picture, as fractions of the width and height of the picture, counted from the top left corner.
+  x: {
+    type: Number,
+    default: null,
+    validate: {
+      /**
+       * Validates that the submitted coordinate is between 0 and 1.
+       *
+       * @param {number} value - The submitted coordinate.
+       * @returns {boolean} True if the submitted coordinate is valid, otherwise false.
+       */
+      validator: function (value) {
+        return value === null || (value >= 0 && value <= 1)
+      },
+      message: 'Koordinaterna måste vara tal mellan 0 och 1.'
+    }
+  },
+  y: {
+    type: Number,
+    default: null,
+    validate: [{
+      /**
+       * Validates that the submitted coordinate is between 0 and 1.
+       *
+       * @param {number} value - The submitted coordinate.
+       * @returns {boolean} True if the submitted coordinate is valid, otherwise false.
+       */
+      validator: function (value) {
+        return value === null || (value >= 0 && value <= 1)
+      },
+      message: 'Koordinaterna måste vara tal mellan 0 och 1.'
+    }, {
+      /**
+       * Validates that either both or none of the coordinates are submitted.
+       *
+       * @param {number} value - The submitted coordinate.
+       * @returns {boolean} True if both or none of the coordinates are submitted, otherwise false.
+       */
+      validator: function (value) {
+        return (value === null) === (this.x === null)
+      },
+      message: 'Både x- och y-koordinaten måste anges för att bitens plats ska kunna sparas.'
+    }]
+  },
+  description: {
+    type: String,
+    required: false,
+    trim: true,
+    maxLength: [200, 'Beskrivningen får inte innehålla fler än 200 tecken.']
+  },
+  noticedAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  // Set when a missing piece has been found. Pieces that have been found are kept, so that the history is not lost.
+  foundAt: {
+    type: Date,
+    default: null,
+    validate: {
+      /**
+       * Validates that the piece was not found before it was noticed.
+       *
+       * @param {Date} value - The submitted date.
+       * @returns {boolean} True if the submitted date is valid, otherwise false.
+       */
+      validator: function (value) {
+        return !value || !this.noticedAt || value >= this.noticedAt
+      },
+      message: 'Datumet då biten hittades kan inte vara före datumet då den upptäcktes.'
+    }
+  }
+}, {
+  toJSON: {
+    virtuals: true, // ensure virtual fields are serialized
+    /**
+     * Performs a transformation of the resulting object to remove mongoose specific fields.
+     *
+     * @param {object} doc - The mongoose document which is being converted.
+     * @param {object} ret - The plain object representation which has been converted.
+     */
+    transform: function (doc, ret) {
+      delete ret._id
+    }
+  }
+})
+
+missingPieceSchema.virtual('found').get(function () {
+  return Boolean(this.foundAt)
+})
 
 // Create a puzzle schema.
 const schema = new mongoose.Schema({
@@ -113,16 +312,50 @@ const schema = new mongoose.Schema({
     trim: true,
     maxLength: [50, 'Tillverkarens namn får inte innehålla fler än 50 tecken.']
   },
+  // The barcode on the box, which is used to look up the puzzle in the catalog.
+  ean: {
+    type: String,
+    required: false,
+    default: null,
+    validate: {
+      /**
+       * Validates that the submitted EAN code has a valid length and check digit.
+       *
+       * @param {string} value - The submitted EAN code.
+       * @returns {boolean} True if the submitted EAN code is valid, otherwise false.
+       */
+      validator: function (value) {
+        return !value || isValidEan(value)
+      },
+      message: 'EAN-koden är ogiltig. Den måste bestå av 8, 12 eller 13 siffror.'
+    }
+  },
+  // Derived from the most recent session and the date that has been entered manually, whichever is later.
   lastPlayed: {
     type: Date,
     required: false
   },
+  // The date when the puzzle was last played, as entered by the user. It is kept when sessions are changed or deleted.
+  lastPlayedManually: {
+    type: Date,
+    default: null
+  },
+  sessions: [sessionSchema],
+  tags: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tag'
+  }],
+  shelves: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shelf'
+  }],
+  // Locations were saved as free text before the locations were structured, which is migrated by src/config/migrations.js.
   location: {
-    type: String,
-    required: false,
-    trim: true,
-    maxLength: [100, 'Namnet på platsen där pusslet förvaras får inte innehålla fler än 100 tecken.']
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    default: null
   },
+  // complete and missingPiecesNumber are derived from the missing pieces that have not been found, when the puzzle is validated.
   complete: {
     type: Boolean,
     required: false,
@@ -169,6 +402,7 @@ const schema = new mongoose.Schema({
       message: props => 'Antalet saknade bitar måste vara ett heltal mellan 1 och antalet bitar i pusslet.'
     }
   },
+  missingPieces: [missingPieceSchema],
   privateNote: {
     type: String,
     required: false,
@@ -185,6 +419,23 @@ const schema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Puzzles that are available for swap are shown to all users in the swap marketplace.
+  availableForSwap: {
+    type: Boolean,
+    default: false,
+    validate: {
+      /**
+       * Validates that private puzzles are not available for swap.
+       *
+       * @param {boolean} value - The submitted boolean.
+       * @returns {boolean} True if the submitted boolean is valid, otherwise false.
+       */
+      validator: function (value) {
+        return !(value === true && this.isPrivate)
+      },
+      message: 'Endast pussel som inte är privata kan vara tillgängliga för byte.'
+    }
+  },
   isLentOut: {
     type: Boolean,
     default: false,
@@ -196,7 +447,7 @@ const schema = new mongoose.Schema({
        * @returns {boolean} True if the submitted boolean is valid, otherwise false.
        */
       validator: function (value) {
-        return !(value === true && !this.lentOutToString)
+        return !(value === true && !this.lentOutToString && !this.lentOutTo)
       },
       /**
        * This message is shown when the validation fails,
@@ -214,10 +465,36 @@ const schema = new mongoose.Schema({
     trim: true,
     maxLength: [50, 'Namnet på personen som pusslet är utlånat till får inte innehålla fler än 50 tecken.']
   },
+  lentOutTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // The image of puzzles that were saved before images were saved as PuzzleImage documents.
   image: {
     type: Buffer,
     default: null
   },
+  // The photos are presented in the order of the array.
+  photos: {
+    type: [photoSchema],
+    validate: {
+      /**
+       * Validates that the puzzle does not have more than 20 photos.
+       *
+       * @param {Array} value - The photos of the puzzle.
+       * @returns {boolean} True if the number of photos is valid, otherwise false.
+       */
+      validator: function (value) {
+        return value.length <= 20
+      },
+      message: 'Ett pussel får inte ha fler än 20 foton.'
+    }
+  },
+  coverPhoto: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
   owner: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -240,35 +517,72 @@ const schema = new mongoose.Schema({
   }
 })
 
+// Makes it possible to search the puzzles by title, manufacturer and shared note.
+schema.index({ title: 'text', manufacturer: 'text', sharedNote: 'text' }, { default_language: 'swedish' })
+schema.index({ owner: 1, ean: 1 })
+schema.index({ owner: 1, tags: 1 })
+schema.index({ owner: 1, shelves: 1 })
+schema.index({ owner: 1, location: 1 })
+schema.index({ availableForSwap: 1, piecesNumber: 1 })
+
 // Makes the code more readable and doesn't expose that we are using mongoose.
 schema.virtual('id').get(function () {
   return this._id.toHexString()
 })
 
-schema.pre('save', function () {
-  // Set the 'complete' field based on the 'missingPiecesNumber' field.
-  if (this.missingPiecesNumber > 0) {
-    this.complete = false
-  }
-  if (this.privateNote) {
-    this.privateNote = JSON.stringify(encryptPrivateNote(this.privateNote))
-  }
-})
+/**
+ * Gets the missing pieces of a puzzle that have not been found. Damaged pieces are not missing.
+ *
+ * @param {object} puzzle - The puzzle.
+ * @returns {object[]} The missing pieces.
+ */
+const getUnfoundPieces = (puzzle) => puzzle.missingPieces.filter(piece => piece.kind === 'missing' && !piece.foundAt)
 
 /**
- * Encrypts a private note.
+ * Gets the date when a session was played, which is when it was finished, or when it was started if it has not been finished.
  *
- * @param {string} privateNote - The private note to encrypt.
- * @returns {object} The encrypted private note.
+ * @param {object} session - The session.
+ * @returns {Date} The date.
  */
-function encryptPrivateNote (privateNote) {
-  const key = Buffer.from(process.env.SECRET_ENCRYPTION_KEY, 'base64')
-  const iv = Buffer.from(process.env.SECRET_ENCRYPTION_IV, 'base64')
-  const cipher = crypto.createCipheriv('aes-256-cbc', key, iv)
-  let encrypted = cipher.update(privateNote, 'utf8', 'hex')
-  encrypted += cipher.final('hex')
-  return { iv: iv.toString('hex'), encryptedData: encrypted }
+const getSessionDate = (session) => session.finishedAt || session.startedAt
+
+/**
+ * Changes the number of missing pieces that have not been found, for forms and files that only contain the number.
+ * Missing pieces without a position are added, or pieces are marked as found, starting with the most recently noticed pieces without a position.
+ *
+ * @param {number} count - The number of missing pieces.
+ */
+schema.methods.setMissingPiecesNumber = function (count) {
+  const unfoundPieces = getUnfoundPieces(this)
+  for (let i = unfoundPieces.length; i < count; i++) {
+    this.missingPieces.push({ kind: 'missing' })
+  }
+  const foundPieces = unfoundPieces
+    .sort((a, b) => (a.x !== null) - (b.x !== null) || b.noticedAt - a.noticedAt)
+    .slice(0, Math.max(unfoundPieces.length - count, 0))
+  for (const piece of foundPieces) {
+    piece.foundAt = new Date()
+  }
 }
 
+// Derive the 'complete' and 'missingPiecesNumber' fields from the missing pieces before they are validated,
+// so that the number of missing pieces is validated against the number of pieces.
+schema.pre('validate', function () {
+  const missingPiecesNumber = getUnfoundPieces(this).length
+  this.missingPiecesNumber = missingPiecesNumber || null
+  this.complete = missingPiecesNumber === 0
+})
+
+schema.pre('save', function () {
+  // Set the 'lastPlayed' field to the date of the most recent session or the date that has been entered manually, whichever is later.
+  const playedDates = [this.lastPlayedManually, ...this.sessions.map(getSessionDate)].filter(Boolean)
+  this.lastPlayed = playedDates.length > 0 ? new Date(Math.max(...playedDates)) : null
+  // Only encrypt the private note if it has been changed, otherwise an already encrypted note would be encrypted again.
+  // The note is always encrypted when it is changed, even if it looks like an encrypted record.
+  if (this.privateNote && this.isModified('privateNote')) {
+    this.privateNote = encrypt(this.privateNote)
+  }
+})
+
 // Create a model using the schema.
 export const Puzzle = mongoose.model('Puzzle', schema)
@@ -0,0 +1,52 @@
+/**
+ * Mongoose model RefreshToken.
+ *
+ * @author Anja Willsund
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose'
+
+// Create a refresh token schema. Only a hash of the token is saved, so a leaked database can't be used to log in.
+const schema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // All refresh tokens that are created from the same login belong to the same family.
+  family: {
+    type: String,
+    required: true
+  },
+  // Set when the token has been exchanged for a new token. A used token can not be used again.
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+})
+
+schema.index({ family: 1 })
+schema.index({ user: 1 })
+
+// Expired tokens are removed by MongoDB.
+schema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+// Create a model using the schema.
+export const RefreshToken = mongoose.model('RefreshToken', schema)
@@ -0,0 +1,47 @@
+/**
+ * Mongoose model RevokedToken.
+ *
+ * @author Anja Willsund
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose'
+
+// Create a revoked token schema. A revocation applies to access tokens that are still valid, either
+// all tokens from the same login (family) or all tokens of a user issued before a point in time.
+const schema = new mongoose.Schema({
+  family: {
+    type: String,
+    default: null
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // The family of the tokens of a login that is not revoked together with the other tokens of the user.
+  exceptFamily: {
+    type: String,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // The revocation is only needed until all revoked access tokens have expired.
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  versionKey: false
+})
+
+schema.index({ family: 1 })
+schema.index({ user: 1, revokedAt: 1 })
+
+// Revocations are removed by MongoDB when they are no longer needed.
+schema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+// Create a model using the schema.
+export const RevokedToken = mongoose.model('RevokedToken', schema)
@@ -0,0 +1,65 @@
+/**
+ * Mongoose model Shelf.
+ *
+ * @author Anja Willsund
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose'
+import { NAME_COLLATION } from './tag.js'
+
+// The maximum length of the name of a shelf.
+export const MAX_SHELF_NAME_LENGTH = 50
+
+// Create a shelf schema. A shelf is a named collection of puzzles, e.g. "Favoriter" or "Att pussla i sommar",
+// and a puzzle can be on any number of shelves.
+const schema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Hyllans namn måste anges.'],
+    trim: true,
+    maxLength: [MAX_SHELF_NAME_LENGTH, `Hyllans namn får inte innehålla fler än ${MAX_SHELF_NAME_LENGTH} tecken.`],
+    // Shelves are written as a comma-separated list when puzzles are imported and exported.
+    match: [/^[^,]*$/, 'Hyllans namn får inte innehålla kommatecken.']
+  },
+  description: {
+    type: String,
+    default: '',
+    trim: true,
+    maxLength: [200, 'Beskrivningen får inte innehålla fler än 200 tecken.']
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+})
+
+schema.index({ owner: 1, name: 1 }, { unique: true, collation: NAME_COLLATION })
+
+/**
+ * Gets the ids of the shelves of a user with the given names. Shelves that don't exist are created.
+ *
+ * @param {string} owner - The id of the user.
+ * @param {string[]} names - The names of the shelves.
+ * @returns {Promise<object[]>} The ids of the shelves, in the same order as the names.
+ */
+schema.statics.findOrCreateByNames = async function (owner, names) {
+  const ids = []
+  for (const name of names) {
+    // Another request may create the same shelf at the same time, so the shelf is upserted.
+    const shelf = await this.findOneAndUpdate(
+      { owner, name },
+      { $setOnInsert: { owner, name } },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    ).collation(NAME_COLLATION)
+    ids.push(shelf._id)
+  }
+  return ids
+}
+
+// Create a model using the schema.
+export const Shelf = mongoose.model('Shelf', schema)
@@ -0,0 +1,97 @@
+/**
+ * Mongoose model SwapProposal.
+ *
+ * @author Anja Willsund
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose'
+
+// The maximum number of puzzles on each side of a swap.
+export const MAX_SWAP_PUZZLES = 10
+
+/**
+ * Creates the validators of a list of puzzles in a swap, which must contain between 1 and MAX_SWAP_PUZZLES different puzzles.
+ *
+ * @param {string} message - The message if the list is empty or too long.
+ * @returns {object[]} The validators.
+ */
+const puzzleListValidators = (message) => [{
+  /**
+   * Validates the number of puzzles.
+   *
+   * @param {object[]} value - The ids of the puzzles.
+   * @returns {boolean} True if the number of puzzles is valid, otherwise false.
+   */
+  validator: function (value) {
+    return value.length >= 1 && value.length <= MAX_SWAP_PUZZLES
+  },
+  message
+}, {
+  /**
+   * Validates that no puzzle is in the list more than once.
+   *
+   * @param {object[]} value - The ids of the puzzles.
+   * @returns {boolean} True if every puzzle is in the list once, otherwise false.
+   */
+  validator: function (value) {
+    return new Set(value.map(id => id.toString())).size === value.length
+  },
+  message: 'Samma pussel kan inte vara med flera gånger i ett byte.'
+}]
+
+// Create a swap proposal schema. A user proposes to swap one or more of their own puzzles
+// for one or more puzzles of another user, and the other user accepts or rejects the proposal.
+const schema = new mongoose.Schema({
+  proposer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The puzzles of the proposer that are offered to the recipient.
+  offeredPuzzles: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Puzzle' }],
+    validate: puzzleListValidators(`Mellan 1 och ${MAX_SWAP_PUZZLES} av dina egna pussel måste erbjudas.`)
+  },
+  // The puzzles of the recipient that the proposer wants.
+  requestedPuzzles: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Puzzle' }],
+    validate: puzzleListValidators(`Mellan 1 och ${MAX_SWAP_PUZZLES} pussel måste efterfrågas.`)
+  },
+  message: {
+    type: String,
+    default: '',
+    trim: true,
+    maxLength: [500, 'Meddelandet får inte innehålla fler än 500 tecken.']
+  },
+  // pending: the recipient has not answered the proposal.
+  // accepted: the recipient has accepted the proposal and the puzzles have changed owners.
+  // rejected: the recipient has rejected the proposal.
+  // expired: one of the puzzles was swapped in another proposal before the proposal was answered.
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'rejected', 'expired'],
+    default: 'pending'
+  },
+  respondedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+})
+
+schema.index({ recipient: 1, status: 1 })
+schema.index({ proposer: 1, status: 1 })
+// Makes it possible to find the pending proposals of a puzzle, when the puzzle has been swapped.
+schema.index({ offeredPuzzles: 1 }, { partialFilterExpression: { status: 'pending' } })
+schema.index({ requestedPuzzles: 1 }, { partialFilterExpression: { status: 'pending' } })
+
+// Create a model using the schema.
+export const SwapProposal = mongoose.model('SwapProposal', schema)
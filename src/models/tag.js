@@ -0,0 +1,69 @@
+/**
+ * Mongoose model Tag.
+ *
+ * @author Anja Willsund
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose'
+
+// The collation that tag names are compared with, so that "Jul" and "jul" are the same tag.
+export const NAME_COLLATION = { locale: 'sv', strength: 2 }
+
+// The maximum length of the name of a tag.
+export const MAX_TAG_NAME_LENGTH = 30
+
+// The color of tags that are created without a color.
+const DEFAULT_COLOR = '#9e9e9e'
+
+// Create a tag schema. Tags are created by the user and puzzles can have any number of tags.
+const schema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Taggens namn måste anges.'],
+    trim: true,
+    maxLength: [MAX_TAG_NAME_LENGTH, `Taggens namn får inte innehålla fler än ${MAX_TAG_NAME_LENGTH} tecken.`],
+    // Tags are written as a comma-separated list when puzzles are imported and exported.
+    match: [/^[^,]*$/, 'Taggens namn får inte innehålla kommatecken.']
+  },
+  color: {
+    type: String,
+    default: DEFAULT_COLOR,
+    lowercase: true,
+    match: [/^#[0-9a-f]{6}$/i, 'Färgen måste anges som en hexadecimal färgkod, t.ex. #ff8800.']
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+})
+
+schema.index({ owner: 1, name: 1 }, { unique: true, collation: NAME_COLLATION })
+
+/**
+ * Gets the ids of the tags of a user with the given names. Tags that don't exist are created with the default color.
+ *
+ * @param {string} owner - The id of the user.
+ * @param {string[]} names - The names of the tags.
+ * @returns {Promise<object[]>} The ids of the tags, in the same order as the names.
+ */
+schema.statics.findOrCreateByNames = async function (owner, names) {
+  const ids = []
+  for (const name of names) {
+    // Another request may create the same tag at the same time, so the tag is upserted.
+    const tag = await this.findOneAndUpdate(
+      { owner, name },
+      { $setOnInsert: { owner, name } },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    ).collation(NAME_COLLATION)
+    ids.push(tag._id)
+  }
+  return ids
+}
+
+// Create a model using the schema.
+export const Tag = mongoose.model('Tag', schema)
@@ -7,6 +7,9 @@
 
 import mongoose from 'mongoose'
 import bcrypt from 'bcryptjs'
+import crypto from 'crypto'
+import { decrypt } from '../utils/encryption.js'
+import { verifyTotp } from '../utils/totp.js'
 
 // Create a user schema.
 const schema = new mongoose.Schema({
@@ -34,16 +37,62 @@ const schema = new mongoose.Schema({
     minlength: [10, 'Lösenordet måste innehålla minst 10 tecken.'],
     maxlength: [2000, 'Lösenordet får inte innehålla fler än 2 000 tecken.']
   },
-  friends: {
-    type: Array
+  // The email is optional, but is needed to reset a forgotten password.
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    unique: true,
+    sparse: true,
+    maxlength: [254, 'E-postadressen får inte innehålla fler än 254 tecken.'],
+    validate: {
+      /**
+       * Checks if the email looks like an email address.
+       *
+       * @param {string} value - The email to validate.
+       * @returns {boolean} True if the email looks like an email address.
+       */
+      validator: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+      message: 'E-postadressen är ogiltig.'
+    }
+  },
+  friends: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Two-factor authentication with time-based one-time passwords.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // The encrypted secret. Set when the user starts to enable two-factor authentication, but only used when it is enabled.
+    secret: {
+      type: String,
+      default: null
+    },
+    // The time step of the last code that was used, so that a code can't be used twice.
+    lastUsedStep: {
+      type: Number,
+      default: -1
+    },
+    // Hashes of the unused recovery codes, which can be used once each if the authenticator app is lost.
+    recoveryCodes: {
+      type: [String],
+      default: []
+    }
   }
 }, {
   timestamps: true,
   versionKey: false
 })
 
-// Encrypts the submitted password.
+// Encrypts the submitted password. The password is only encrypted when it has been changed,
+// since encrypting the already encrypted password would make it impossible to log in.
 schema.pre('save', async function () {
+  if (!this.isModified('password')) {
+    return
+  }
   this.password = await bcrypt.hash(this.password, 8)
 })
 
@@ -66,5 +115,59 @@ schema.statics.authenticate = async function (username, password) {
   return user
 }
 
+/**
+ * Checks if a submitted password matches the password of the user.
+ *
+ * @param {string} password - The submitted password.
+ * @returns {Promise<boolean>} True if the password is correct, otherwise false.
+ */
+schema.methods.checkPassword = async function (password) {
+  return typeof password === 'string' && await bcrypt.compare(password, this.password)
+}
+
+/**
+ * Checks if the user is friends with another user.
+ *
+ * @param {string} userId - The id of the other user.
+ * @returns {boolean} True if the users are friends, otherwise false.
+ */
+schema.methods.hasFriend = function (userId) {
+  return this.friends.some(friend => friend.toString() === userId.toString())
+}
+
+/**
+ * Hashes a recovery code. Dashes and the case of the letters are ignored.
+ *
+ * @param {string} code - The recovery code.
+ * @returns {string} The hash of the recovery code.
+ */
+export const hashRecoveryCode = (code) => {
+  return crypto.createHash('sha256').update(code.replace(/-/g, '').toLowerCase()).digest('hex')
+}
+
+/**
+ * Checks a two-factor authentication code, which is either a code from the authenticator app or a recovery code.
+ * A used code is marked as used, which is saved when the user is saved.
+ *
+ * @param {string} code - The submitted code.
+ * @returns {boolean} True if the code is valid, otherwise false.
+ */
+schema.methods.verifyTwoFactorCode = function (code) {
+  if (!this.twoFactor.secret || typeof code !== 'string') {
+    return false
+  }
+  const step = verifyTotp(decrypt(this.twoFactor.secret), code.trim(), this.twoFactor.lastUsedStep)
+  if (step !== null) {
+    this.twoFactor.lastUsedStep = step
+    return true
+  }
+  const index = this.twoFactor.recoveryCodes.indexOf(hashRecoveryCode(code.trim()))
+  if (index !== -1) {
+    this.twoFactor.recoveryCodes.splice(index, 1)
+    return true
+  }
+  return false
+}
+
 // Create a model using the schema.
 export const User = mongoose.model('User', schema)
@@ -0,0 +1,97 @@
+/**
+ * Mongoose model WishlistItem.
+ *
+ * @author Anja Willsund
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose'
+
+// The priorities of a wishlist item, from the lowest to the highest.
+export const PRIORITIES = ['low', 'medium', 'high']
+
+// Create a wishlist item schema. A wishlist item is a puzzle that the user wants, but does not own yet.
+const schema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Pusslets titel måste anges.'],
+    trim: true,
+    maxLength: [100, 'Titeln får inte innehålla fler än 100 tecken.']
+  },
+  manufacturer: {
+    type: String,
+    default: '',
+    trim: true,
+    maxLength: [50, 'Tillverkarens namn får inte innehålla fler än 50 tecken.']
+  },
+  piecesNumber: {
+    type: Number,
+    default: null,
+    validate: {
+      /**
+       * Validates that the submitted number of pieces is an integer between 2 and 20 000, as for puzzles.
+       *
+       * @param {number} value - The submitted pieces number.
+       * @returns {boolean} True if the submitted pieces number is valid, otherwise false.
+       */
+      validator: function (value) {
+        return value === null || (Number.isInteger(value) && value >= 2 && value <= 20000)
+      },
+      message: 'Antalet bitar måste vara ett heltal mellan 2 och 20 000.'
+    }
+  },
+  priority: {
+    type: String,
+    enum: {
+      values: PRIORITIES,
+      message: `Prioriteten måste vara en av följande: ${PRIORITIES.join(', ')}.`
+    },
+    default: 'medium'
+  },
+  // The price that the user is willing to pay.
+  targetPrice: {
+    type: Number,
+    default: null,
+    min: [0, 'Målpriset kan inte vara negativt.']
+  },
+  // A link to a store or a page about the puzzle.
+  link: {
+    type: String,
+    default: '',
+    trim: true,
+    maxLength: [500, 'Länken får inte innehålla fler än 500 tecken.'],
+    match: [/^(https?:\/\/\S+)?$/i, 'Länken måste börja med http:// eller https://.']
+  },
+  // The friend who has reserved the item as a gift. This is never sent to the owner.
+  reservedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reservedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+})
+
+schema.index({ owner: 1 })
+
+/**
+ * Sorts wishlist items with the highest priority first, and the oldest item first within the same priority.
+ *
+ * @param {object} a - The first item.
+ * @param {object} b - The second item.
+ * @returns {number} A negative number if a comes first, a positive number if b comes first, otherwise 0.
+ */
+export const compareWishlistItems = (a, b) => PRIORITIES.indexOf(b.priority) - PRIORITIES.indexOf(a.priority) || a.createdAt - b.createdAt
+
+// Create a model using the schema.
+export const WishlistItem = mongoose.model('WishlistItem', schema)
@@ -0,0 +1,93 @@
+/**
+ * Friend routes.
+ *
+ * @author Anja Willsund
+ * @version 1.0.0
+ */
+
+import express from 'express'
+import { authenticateToken } from '../utils/authentication.js'
+import { authorizeFriend, authorizePuzzle, authorizeSharedPuzzle } from '../utils/authorization.js'
+import { FriendController } from '../controllers/friend-controller.js'
+import { PuzzleController } from '../controllers/puzzle-controller.js'
+import { PhotoController } from '../controllers/photo-controller.js'
+import { WishlistController } from '../controllers/wishlist-controller.js'
+
+export const router = express.Router()
+
+const friendController = new FriendController()
+const puzzleController = new PuzzleController()
+const photoController = new PhotoController()
+const wishlistController = new WishlistController()
+
+router.param('username', (req, res, next, username) => friendController.loadUser(req, res, next, username))
+
+router.param('id', (req, res, next, id) => puzzleController.loadPuzzle(req, res, next, id))
+
+router.param('photoId', (req, res, next, id) => photoController.loadPhoto(req, res, next, id))
+
+router.param('itemId', (req, res, next, id) => wishlistController.loadItem(req, res, next, id))
+
+// GET /friends
+router.route('/')
+  .get(authenticateToken,
+    (req, res, next) => friendController.getFriends(req, res, next))
+
+// POST/GET /friends/requests
+router.route('/requests')
+  .post(authenticateToken,
+    (req, res, next) => friendController.sendFriendRequest(req, res, next))
+  .get(authenticateToken,
+    (req, res, next) => friendController.getFriendRequests(req, res, next))
+
+// DELETE /friends/requests/:username
+router.route('/requests/:username')
+  .delete(authenticateToken,
+    (req, res, next) => friendController.cancelFriendRequest(req, res, next))
+
+// POST /friends/requests/:username/accept
+router.route('/requests/:username/accept')
+  .post(authenticateToken,
+    (req, res, next) => friendController.acceptFriendRequest(req, res, next))
+
+// POST /friends/requests/:username/decline
+router.route('/requests/:username/decline')
+  .post(authenticateToken,
+    (req, res, next) => friendController.declineFriendRequest(req, res, next))
+
+// DELETE /friends/:username
+router.route('/:username')
+  .delete(authenticateToken,
+    (req, res, next) => friendController.removeFriend(req, res, next))
+
+// GET /friends/:username/puzzles
+router.route('/:username/puzzles')
+  .get(authenticateToken, authorizeFriend,
+    (req, res, next) => puzzleController.getSharedPuzzles(req, res, next))
+
+// GET /friends/:username/puzzles/:id
+router.route('/:username/puzzles/:id')
+  .get(authenticateToken, authorizeFriend, authorizeSharedPuzzle, authorizePuzzle('read'),
+    (req, res, next) => puzzleController.getSharedPuzzle(req, res, next))
+
+// GET /friends/:username/puzzles/:id/image
+router.route('/:username/puzzles/:id/image')
+  .get(authenticateToken, authorizeFriend, authorizeSharedPuzzle, authorizePuzzle('readImage'),
+    (req, res, next) => photoController.getCoverImage(req, res, next))
+
+// GET /friends/:username/puzzles/:id/photos/:photoId/image
+router.route('/:username/puzzles/:id/photos/:photoId/image')
+  .get(authenticateToken, authorizeFriend, authorizeSharedPuzzle, authorizePuzzle('readImage'),
+    (req, res, next) => photoController.getPhotoImage(req, res, next))
+
+// GET /friends/:username/wishlist
+router.route('/:username/wishlist')
+  .get(authenticateToken, authorizeFriend,
+    (req, res, next) => wishlistController.getFriendWishlist(req, res, next))
+
+// POST/DELETE /friends/:username/wishlist/:itemId/reservation
+router.route('/:username/wishlist/:itemId/reservation')
+  .post(authenticateToken, authorizeFriend,
+    (req, res, next) => wishlistController.reserveItem(req, res, next))
+  .delete(authenticateToken, authorizeFriend,
+    (req, res, next) => wishlistController.cancelReservation(req, res, next))
@@ -0,0 +1,50 @@
+/**
+ * Loan routes.
+ *
+ * @author Anja Willsund
+ * @version 1.0.0
+ */
+
+import express from 'express'
+import { authenticateToken } from '../utils/authentication.js'
+import { LoanController } from '../controllers/loan-controller.js'
+
+export const router = express.Router()
+
+const loanController = new LoanController()
+
+router.param('loanId', (req, res, next, id) => loanController.loadLoan(req, res, next, id))
+
+// POST/GET /loans
+router.route('/')
+  .post(authenticateToken,
+    (req, res, next) => loanController.requestLoan(req, res, next))
+  .get(authenticateToken,
+    (req, res, next) => loanController.getLoans(req, res, next))
+
+// GET /loans/overdue
+router.route('/overdue')
+  .get(authenticateToken,
+    (req, res, next) => loanController.getOverdueLoans(req, res, next))
+
+// PUT/DELETE /loans/:loanId
+router.route('/:loanId')
+  .put(authenticateToken,
+    (req, res, next) => loanController.updateLoan(req, res, next))
+  .delete(authenticateToken,
+    (req, res, next) => loanController.cancelLoan(req, res, next))
+
+// POST /loans/:loanId/approve
+router.route('/:loanId/approve')
+  .post(authenticateToken,
+    (req, res, next) => loanController.approveLoan(req, res, next))
+
+// POST /loans/:loanId/decline
+router.route('/:loanId/decline')
+  .post(authenticateToken,
+    (req, res, next) => loanController.declineLoan(req, res, next))
+
+// POST /loans/:loanId/return
+router.route('/:loanId/return')
+  .post(authenticateToken,
+    (req, res, next) => loanController.returnLoan(req, res, next))
@@ -8,12 +8,34 @@
 import express from 'express'
 import multer from 'multer'
 import { authenticateToken } from '../utils/authentication.js'
-import { authorizeUser } from '../utils/authorization.js'
+import { authorizeOwner, authorizePuzzle } from '../utils/authorization.js'
 import { PuzzleController } from '../controllers/puzzle-controller.js'
+import { LoanController } from '../controllers/loan-controller.js'
+import { SessionController } from '../controllers/session-controller.js'
+import { MissingPieceController } from '../controllers/missing-piece-controller.js'
+import { StatsController } from '../controllers/stats-controller.js'
+import { PhotoController } from '../controllers/photo-controller.js'
+import { BackupController } from '../controllers/backup-controller.js'
+import { CatalogController } from '../controllers/catalog-controller.js'
+import { TagController } from '../controllers/tag-controller.js'
+import { ShelfController } from '../controllers/shelf-controller.js'
+import { LocationController } from '../controllers/location-controller.js'
+import { WishlistController } from '../controllers/wishlist-controller.js'
 
 export const router = express.Router()
 
 const puzzleController = new PuzzleController()
+const loanController = new LoanController()
+const sessionController = new SessionController()
+const missingPieceController = new MissingPieceController()
+const statsController = new StatsController()
+const photoController = new PhotoController()
+const backupController = new BackupController()
+const catalogController = new CatalogController()
+const tagController = new TagController()
+const shelfController = new ShelfController()
+const locationController = new LocationController()
+const wishlistController = new WishlistController()
 
 // Configure multer, a middleware for handling file uploads in Node.js applications
 const upload = multer({
@@ -23,8 +45,30 @@ const upload = multer({
   limits: { fileSize: 10 * 1024 * 1024 } // Limit file size to 10MB (10 * 1024 * 1024 bytes).
 })
 
+// Backup archives contain the images of the whole collection, so they are allowed to be larger.
+const uploadBackup = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 200 * 1024 * 1024 } // Limit file size to 200MB.
+})
+
 router.param('id', (req, res, next, id) => puzzleController.loadPuzzle(req, res, next, id))
 
+router.param('sessionId', (req, res, next, id) => sessionController.loadSession(req, res, next, id))
+
+router.param('pieceId', (req, res, next, id) => missingPieceController.loadMissingPiece(req, res, next, id))
+
+router.param('photoId', (req, res, next, id) => photoController.loadPhoto(req, res, next, id))
+
+router.param('ean', (req, res, next, ean) => catalogController.loadEntry(req, res, next, ean))
+
+router.param('tagId', (req, res, next, id) => tagController.loadTag(req, res, next, id))
+
+router.param('shelfId', (req, res, next, id) => shelfController.loadShelf(req, res, next, id))
+
+router.param('locationId', (req, res, next, id) => locationController.loadLocation(req, res, next, id))
+
+router.param('itemId', (req, res, next, id) => wishlistController.loadItem(req, res, next, id))
+
 // POST/GET /puzzles
 router.route('/puzzles')
   .post(authenticateToken,
@@ -33,12 +77,183 @@ router.route('/puzzles')
   .get(authenticateToken,
     (req, res, next) => puzzleController.getAllPuzzles(req, res, next))
 
+// POST /puzzles/import
+router.route('/puzzles/import')
+  .post(authenticateToken,
+    upload.single('file'),
+    (req, res, next) => puzzleController.importPuzzles(req, res, next))
+
 // GET/PUT/DELETE /puzzles/:id
 router.route('/puzzles/:id')
-  .get(authenticateToken,
+  .get(authenticateToken, authorizePuzzle('read'),
     (req, res, next) => puzzleController.getPuzzle(req, res, next))
-  .put(authenticateToken, authorizeUser,
+  .put(authenticateToken, authorizePuzzle('update'),
     upload.single('image'),
     (req, res, next) => puzzleController.updatePuzzle(req, res, next))
-  .delete(authenticateToken, authorizeUser,
+  .delete(authenticateToken, authorizePuzzle('delete'),
     (req, res, next) => puzzleController.deletePuzzle(req, res, next))
+
+// GET /puzzles/:id/image
+router.route('/puzzles/:id/image')
+  .get(authenticateToken, authorizePuzzle('readImage'),
+    (req, res, next) => photoController.getCoverImage(req, res, next))
+
+// GET /puzzles/:id/loans
+router.route('/puzzles/:id/loans')
+  .get(authenticateToken, authorizePuzzle('readLoans'),
+    (req, res, next) => loanController.getPuzzleLoans(req, res, next))
+
+// POST/GET /puzzles/:id/sessions
+router.route('/puzzles/:id/sessions')
+  .post(authenticateToken, authorizePuzzle('manageSessions'),
+    (req, res, next) => sessionController.addSession(req, res, next))
+  .get(authenticateToken, authorizePuzzle('readSessions'),
+    (req, res, next) => sessionController.getSessions(req, res, next))
+
+// PUT/DELETE /puzzles/:id/sessions/:sessionId
+router.route('/puzzles/:id/sessions/:sessionId')
+  .put(authenticateToken, authorizePuzzle('manageSessions'),
+    (req, res, next) => sessionController.updateSession(req, res, next))
+  .delete(authenticateToken, authorizePuzzle('manageSessions'),
+    (req, res, next) => sessionController.deleteSession(req, res, next))
+
+// POST/GET /puzzles/:id/missing-pieces
+router.route('/puzzles/:id/missing-pieces')
+  .post(authenticateToken, authorizePuzzle('manageMissingPieces'),
+    (req, res, next) => missingPieceController.addMissingPiece(req, res, next))
+  .get(authenticateToken, authorizePuzzle('readMissingPieces'),
+    (req, res, next) => missingPieceController.getMissingPieces(req, res, next))
+
+// PUT/DELETE /puzzles/:id/missing-pieces/:pieceId
+router.route('/puzzles/:id/missing-pieces/:pieceId')
+  .put(authenticateToken, authorizePuzzle('manageMissingPieces'),
+    (req, res, next) => missingPieceController.updateMissingPiece(req, res, next))
+  .delete(authenticateToken, authorizePuzzle('manageMissingPieces'),
+    (req, res, next) => missingPieceController.deleteMissingPiece(req, res, next))
+
+// GET /stats
+router.route('/stats')
+  .get(authenticateToken,
+    (req, res, next) => statsController.getStats(req, res, next))
+
+// GET /export
+router.route('/export')
+  .get(authenticateToken,
+    (req, res, next) => backupController.exportCollection(req, res, next))
+
+// GET/POST /backup
+router.route('/backup')
+  .get(authenticateToken,
+    (req, res, next) => backupController.exportBackup(req, res, next))
+  .post(authenticateToken,
+    uploadBackup.single('file'),
+    (req, res, next) => backupController.restoreBackup(req, res, next))
+
+// GET/POST /tags
+router.route('/tags')
+  .get(authenticateToken,
+    (req, res, next) => tagController.getTags(req, res, next))
+  .post(authenticateToken,
+    (req, res, next) => tagController.addTag(req, res, next))
+
+// PUT/DELETE /tags/:tagId
+router.route('/tags/:tagId')
+  .put(authenticateToken, authorizeOwner('tag', 'Tag not found'),
+    (req, res, next) => tagController.updateTag(req, res, next))
+  .delete(authenticateToken, authorizeOwner('tag', 'Tag not found'),
+    (req, res, next) => tagController.deleteTag(req, res, next))
+
+// POST /tags/:tagId/merge
+router.route('/tags/:tagId/merge')
+  .post(authenticateToken, authorizeOwner('tag', 'Tag not found'),
+    (req, res, next) => tagController.mergeTag(req, res, next))
+
+// GET/POST /shelves
+router.route('/shelves')
+  .get(authenticateToken,
+    (req, res, next) => shelfController.getShelves(req, res, next))
+  .post(authenticateToken,
+    (req, res, next) => shelfController.addShelf(req, res, next))
+
+// PUT/DELETE /shelves/:shelfId
+router.route('/shelves/:shelfId')
+  .put(authenticateToken, authorizeOwner('shelf', 'Shelf not found'),
+    (req, res, next) => shelfController.updateShelf(req, res, next))
+  .delete(authenticateToken, authorizeOwner('shelf', 'Shelf not found'),
+    (req, res, next) => shelfController.deleteShelf(req, res, next))
+
+// GET/POST /locations
+router.route('/locations')
+  .get(authenticateToken,
+    (req, res, next) => locationController.getLocations(req, res, next))
+  .post(authenticateToken,
+    (req, res, next) => locationController.addLocation(req, res, next))
+
+// GET/PUT/DELETE /locations/:locationId
+router.route('/locations/:locationId')
+  .get(authenticateToken, authorizeOwner('location', 'Location not found'),
+    (req, res, next) => locationController.getLocation(req, res, next))
+  .put(authenticateToken, authorizeOwner('location', 'Location not found'),
+    (req, res, next) => locationController.updateLocation(req, res, next))
+  .delete(authenticateToken, authorizeOwner('location', 'Location not found'),
+    (req, res, next) => locationController.deleteLocation(req, res, next))
+
+// GET/POST /wishlist
+router.route('/wishlist')
+  .get(authenticateToken,
+    (req, res, next) => wishlistController.getWishlist(req, res, next))
+  .post(authenticateToken,
+    (req, res, next) => wishlistController.addItem(req, res, next))
+
+// PUT/DELETE /wishlist/:itemId
+router.route('/wishlist/:itemId')
+  .put(authenticateToken, authorizeOwner('wishlistItem', 'Wishlist item not found'),
+    (req, res, next) => wishlistController.updateItem(req, res, next))
+  .delete(authenticateToken, authorizeOwner('wishlistItem', 'Wishlist item not found'),
+    (req, res, next) => wishlistController.deleteItem(req, res, next))
+
+// POST /wishlist/:itemId/got-it
+router.route('/wishlist/:itemId/got-it')
+  .post(authenticateToken, authorizeOwner('wishlistItem', 'Wishlist item not found'),
+    upload.single('image'),
+    (req, res, next) => puzzleController.addWishlistPuzzle(req, res, next))
+
+// GET /catalog/:ean
+router.route('/catalog/:ean')
+  .get(authenticateToken,
+    (req, res, next) => catalogController.getEntry(req, res, next))
+
+// GET /catalog/:ean/image
+router.route('/catalog/:ean/image')
+  .get(authenticateToken,
+    (req, res, next) => catalogController.getEntryImage(req, res, next))
+
+// POST/GET /puzzles/:id/photos
+router.route('/puzzles/:id/photos')
+  .post(authenticateToken, authorizePuzzle('managePhotos'),
+    upload.single('image'),
+    (req, res, next) => photoController.addPhoto(req, res, next))
+  .get(authenticateToken, authorizePuzzle('readPhotos'),
+    (req, res, next) => photoController.getPhotos(req, res, next))
+
+// PUT /puzzles/:id/photos/order
+router.route('/puzzles/:id/photos/order')
+  .put(authenticateToken, authorizePuzzle('managePhotos'),
+    (req, res, next) => photoController.reorderPhotos(req, res, next))
+
+// PUT/DELETE /puzzles/:id/photos/:photoId
+router.route('/puzzles/:id/photos/:photoId')
+  .put(authenticateToken, authorizePuzzle('managePhotos'),
+    (req, res, next) => photoController.updatePhoto(req, res, next))
+  .delete(authenticateToken, authorizePuzzle('managePhotos'),
+    (req, res, next) => photoController.deletePhoto(req, res, next))
+
+// PUT /puzzles/:id/photos/:photoId/cover
+router.route('/puzzles/:id/photos/:photoId/cover')
+  .put(authenticateToken, authorizePuzzle('managePhotos'),
+    (req, res, next) => photoController.setCoverPhoto(req, res, next))
+
+// GET /puzzles/:id/photos/:photoId/image
+router.route('/puzzles/:id/photos/:photoId/image')
+  .get(authenticateToken, authorizePuzzle('readImage'),
+    (req, res, next) => photoController.getPhotoImage(req, res, next))
@@ -7,12 +7,21 @@
 
 import express from 'express'
 import { router as myRouter } from './my-router.js'
+import { router as friendRouter } from './friend-router.js'
+import { router as loanRouter } from './loan-router.js'
+import { router as swapRouter } from './swap-router.js'
 import { router as userRouter } from './user-router.js'
 
 export const router = express.Router()
 
 router.use('/', userRouter)
 
+router.use('/my/friends', friendRouter)
+
+router.use('/my/loans', loanRouter)
+
+router.use('/my/swaps', swapRouter)
+
 router.use('/my', myRouter)
 
 router.use('*', (req, res, next) => {
@@ -0,0 +1,45 @@
+/**
+ * Swap routes.
+ *
+ * @author Anja Willsund
+ * @version 1.0.0
+ */
+
+import express from 'express'
+import { authenticateToken } from '../utils/authentication.js'
+import { PuzzleController } from '../controllers/puzzle-controller.js'
+import { SwapController } from '../controllers/swap-controller.js'
+
+export const router = express.Router()
+
+const puzzleController = new PuzzleController()
+const swapController = new SwapController()
+
+router.param('swapId', (req, res, next, id) => swapController.loadProposal(req, res, next, id))
+
+// POST/GET /swaps
+router.route('/')
+  .post(authenticateToken,
+    (req, res, next) => swapController.proposeSwap(req, res, next))
+  .get(authenticateToken,
+    (req, res, next) => swapController.getSwaps(req, res, next))
+
+// GET /swaps/puzzles
+router.route('/puzzles')
+  .get(authenticateToken,
+    (req, res, next) => puzzleController.getSwappablePuzzles(req, res, next))
+
+// DELETE /swaps/:swapId
+router.route('/:swapId')
+  .delete(authenticateToken,
+    (req, res, next) => swapController.cancelSwap(req, res, next))
+
+// POST /swaps/:swapId/accept
+router.route('/:swapId/accept')
+  .post(authenticateToken,
+    (req, res, next) => swapController.acceptSwap(req, res, next))
+
+// POST /swaps/:swapId/reject
+router.route('/:swapId/reject')
+  .post(authenticateToken,
+    (req, res, next) => swapController.rejectSwap(req, res, next))
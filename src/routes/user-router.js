@@ -7,16 +7,67 @@
 
 import express from 'express'
 import { authenticateToken } from '../utils/authentication.js'
+import { checkLoginLockout, rateLimit, rateLimitByUsername } from '../utils/rate-limit.js'
+import { TwoFactorController } from '../controllers/two-factor-controller.js'
 import { UserController } from '../controllers/user-controller.js'
 
 export const router = express.Router()
 
 const controller = new UserController()
+const twoFactorController = new TwoFactorController()
+
+// Limits the number of requests from each IP address, and the number of login attempts for each username from each IP address.
+const loginLimit = rateLimit({ name: 'login', max: 20, windowMs: 1000 * 60 * 15 }) // 20 requests per 15 minutes
+const loginUsernameLimit = rateLimitByUsername({ max: 10, windowMs: 1000 * 60 * 15 }) // 10 requests per 15 minutes
+const createLimit = rateLimit({ name: 'create', max: 5, windowMs: 1000 * 60 * 60 }) // 5 requests per hour
+const passwordResetLimit = rateLimit({ name: 'password-reset', max: 5, windowMs: 1000 * 60 * 60 }) // 5 requests per hour
 
 router.route('/login')
-  .post((req, res, next) => controller.loginPost(req, res, next))
+  .post(loginLimit, loginUsernameLimit, checkLoginLockout,
+    (req, res, next) => controller.loginPost(req, res, next))
+router.route('/login/2fa')
+  .post(loginLimit,
+    (req, res, next) => controller.loginTwoFactorPost(req, res, next))
 router.route('/create')
-  .post((req, res, next) => controller.createPost(req, res, next))
+  .post(createLimit,
+    (req, res, next) => controller.createPost(req, res, next))
+router.route('/refresh')
+  .post((req, res, next) => controller.refreshPost(req, res, next))
 router.route('/logout')
   .get(authenticateToken,
     (req, res, next) => controller.logout(req, res, next))
+router.route('/logout-all')
+  .post(authenticateToken,
+    (req, res, next) => controller.logoutAll(req, res, next))
+router.route('/password-reset')
+  .post(passwordResetLimit,
+    (req, res, next) => controller.requestPasswordReset(req, res, next))
+router.route('/password-reset/confirm')
+  .post(passwordResetLimit,
+    (req, res, next) => controller.confirmPasswordReset(req, res, next))
+router.route('/account')
+  .delete(authenticateToken,
+    (req, res, next) => controller.deleteAccount(req, res, next))
+router.route('/account/password')
+  .put(authenticateToken,
+    (req, res, next) => controller.changePassword(req, res, next))
+router.route('/account/email')
+  .put(authenticateToken,
+    (req, res, next) => controller.changeEmail(req, res, next))
+router.route('/account/2fa')
+  .get(authenticateToken,
+    (req, res, next) => twoFactorController.getStatus(req, res, next))
+  .delete(authenticateToken,
+    (req, res, next) => twoFactorController.disable(req, res, next))
+router.route('/account/2fa/setup')
+  .post(authenticateToken,
+    (req, res, next) => twoFactorController.setup(req, res, next))
+router.route('/account/2fa/verify')
+  .post(authenticateToken,
+    (req, res, next) => twoFactorController.verify(req, res, next))
+router.route('/account/2fa/recovery-codes')
+  .post(authenticateToken,
+    (req, res, next) => twoFactorController.regenerateRecoveryCodes(req, res, next))
+router.route('/account/username')
+  .put(authenticateToken,
+    (req, res, next) => controller.changeUsername(req, res, next))
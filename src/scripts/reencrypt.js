@@ -0,0 +1,52 @@
+/**
+ * Encrypts all private notes and two-factor authentication secrets again with the current key,
+ * e.g. after a new key has been added to the key ring, or to replace notes encrypted with AES-256-CBC.
+ *
+ * Run with: npm run reencrypt
+ *
+ * @author Anja Willsund
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose'
+import { connectDB } from '../config/mongoose.js'
+import { Puzzle } from '../models/puzzle.js'
+import { User } from '../models/user.js'
+import { decrypt, encrypt, getCurrentKeyId, needsReencryption } from '../utils/encryption.js'
+
+/**
+ * Encrypts a field of all documents of a model again, if it is not encrypted with the current key.
+ * The documents are updated directly, so that the field is not encrypted again by a pre('save') hook.
+ *
+ * @param {object} model - The model.
+ * @param {string} path - The path of the encrypted field.
+ * @returns {Promise<number>} The number of documents that were updated.
+ */
+const reencryptField = async (model, path) => {
+  let count = 0
+  const cursor = model.find({ [path]: { $nin: [null, ''] } }).select(path).lean().cursor()
+  for await (const doc of cursor) {
+    const encryptedText = path.split('.').reduce((value, key) => value?.[key], doc)
+    if (needsReencryption(encryptedText)) {
+      // Only update the document if the field has not been changed since it was read.
+      const { modifiedCount } = await model.updateOne(
+        { _id: doc._id, [path]: encryptedText },
+        { $set: { [path]: encrypt(decrypt(encryptedText)) } }
+      )
+      count += modifiedCount
+    }
+  }
+  return count
+}
+
+try {
+  await connectDB()
+  console.log(`Encrypting with the key "${getCurrentKeyId()}".`)
+  console.log(`Private notes encrypted again: ${await reencryptField(Puzzle, 'privateNote')}`)
+  console.log(`Two-factor authentication secrets encrypted again: ${await reencryptField(User, 'twoFactor.secret')}`)
+} catch (err) {
+  console.error(err)
+  process.exitCode = 1
+} finally {
+  await mongoose.disconnect()
+}
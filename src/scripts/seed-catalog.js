@@ -0,0 +1,69 @@
+/**
+ * Adds the puzzles of a seed file to the shared catalog. Entries from the seed file replace the details
+ * of existing entries with the same EAN code, but the box images added by users are kept.
+ *
+ * The seed file is a JSON array of puzzles with ean, title, manufacturer, piecesNumber, sizeHeight and sizeWidth,
+ * and optionally image, which is the path to an image of the box relative to the seed file.
+ *
+ * Run with: npm run seed:catalog [-- <path to seed file>]
+ *
+ * @author Anja Willsund
+ * @version 1.0.0
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import mongoose from 'mongoose'
+import { connectDB } from '../config/mongoose.js'
+import { CATALOG_FIELDS, CatalogEntry } from '../models/catalog-entry.js'
+import { normalizeEan } from '../utils/ean.js'
+import { createImageVariants } from '../utils/image-processing.js'
+
+// The seed file that is used if no file is given.
+const DEFAULT_SEED_FILE = fileURLToPath(new URL('../assets/catalog-seed.json', import.meta.url))
+
+/**
+ * Reads the box image of a seeded puzzle and creates the medium sized PNG that is saved in the catalog.
+ *
+ * @param {string} seedFile - The path to the seed file.
+ * @param {string} imagePath - The path to the image, relative to the seed file.
+ * @returns {Promise<object>} The image data and ETag.
+ */
+const readImage = async (seedFile, imagePath) => {
+  const variants = await createImageVariants(await fs.readFile(path.resolve(path.dirname(seedFile), imagePath)))
+  const { data, etag } = variants.find(variant => variant.size === 'medium' && variant.format === 'png')
+  return { data, etag }
+}
+
+try {
+  const seedFile = path.resolve(process.argv[2] || DEFAULT_SEED_FILE)
+  const puzzles = JSON.parse(await fs.readFile(seedFile, 'utf8'))
+  if (!Array.isArray(puzzles)) {
+    throw new Error('The seed file must contain an array of puzzles.')
+  }
+
+  await connectDB()
+  let seeded = 0
+  for (const [index, puzzle] of puzzles.entries()) {
+    const ean = normalizeEan(puzzle.ean)
+    try {
+      const details = Object.fromEntries(CATALOG_FIELDS.map(field => [field, puzzle[field] ?? null]))
+      const image = puzzle.image ? await readImage(seedFile, puzzle.image) : null
+      await CatalogEntry.updateOne(
+        { ean },
+        { $set: { ...details, ean, source: 'seed', ...(image && { image }) } },
+        { upsert: true, runValidators: true }
+      )
+      seeded++
+    } catch (error) {
+      console.error(`Puzzle ${index + 1} (${ean || 'no EAN code'}) was not seeded: ${error.message}`)
+    }
+  }
+  console.log(`Catalog entries seeded: ${seeded} of ${puzzles.length}`)
+} catch (err) {
+  console.error(err)
+  process.exitCode = 1
+} finally {
+  await mongoose.disconnect()
+}
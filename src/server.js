@@ -13,9 +13,11 @@ import { dirname, join } from 'path'
 import { fileURLToPath } from 'url'
 import { router } from './routes/router.js'
 import { connectDB } from './config/mongoose.js'
+import { runMigrations } from './config/migrations.js'
 
 try {
   await connectDB()
+  await runMigrations()
 
   const app = express()
 
@@ -50,6 +52,7 @@ try {
 
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS')
     res.setHeader('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization')
+    res.setHeader('Access-Control-Expose-Headers', 'X-Total-Count, Retry-After, Content-Disposition')
 
     if (req.method === 'OPTIONS') {
       return res.sendStatus(200)
@@ -104,6 +107,19 @@ try {
       return res.status(404).json({ message: err.message })
     }
 
+    // 409 Conflict.
+    if (err.status === 409) {
+      return res.status(409).json({ message: err.message })
+    }
+
+    // 429 Too Many Requests.
+    if (err.status === 429) {
+      if (err.retryAfter) {
+        res.set('Retry-After', String(err.retryAfter))
+      }
+      return res.status(429).json({ message: err.message })
+    }
+
     // 500 Internal Server Error (in production, all other errors send this response).
     if (req.app.get('env') !== 'development') {
       return res.status(500).json({ message: err.message })
@@ -1,4 +1,5 @@
 import jwt from 'jsonwebtoken'
+import { isTokenRevoked } from './tokens.js'
 
 /**
  * Authenticates token.
@@ -18,7 +19,7 @@ export const authenticateToken = (req, res, next) => {
   }
 
   // Verify the token using the secret key
-  jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
+  jwt.verify(token, process.env.JWT_SECRET, async (err, decoded) => {
     // Check if there is an error during token verification
     if (err) {
       console.error(err)
@@ -26,6 +27,17 @@ export const authenticateToken = (req, res, next) => {
       res.status(401).json({ error: 'Invalid token.' })
       return
     }
+    // Check if the token has been revoked, i.e. if the user has logged out.
+    // Tokens with a purpose, such as the challenge for two-factor authentication, can only be used for that purpose.
+    try {
+      if (decoded.purpose || await isTokenRevoked(decoded)) {
+        res.status(401).json({ error: 'Invalid token.' })
+        return
+      }
+    } catch (error) {
+      next(error)
+      return
+    }
     // Attach the decoded user information to the request object for further processing
     req.user = decoded
     // Proceed to the next middleware or route handler if the token is valid
@@ -1,15 +1,41 @@
 import createError from 'http-errors'
+import { can, getPuzzleRole } from './puzzle-policy.js'
 
 /**
- * Authorizes a user to edit a specific puzzle for the authenticated user.
+ * Creates a middleware that authorizes the authenticated user to perform an action on the loaded puzzle,
+ * according to the puzzle policy. The role of the user is attached to the request as puzzleRole.
+ * Puzzles that the user may not read are handled as if they did not exist.
+ *
+ * @param {string} action - The action to authorize.
+ * @returns {Function} The middleware.
+ */
+export const authorizePuzzle = (action) => {
+  return async (req, res, next) => {
+    try {
+      req.puzzleRole = await getPuzzleRole(req.puzzle, req.user.id)
+      if (!can(req.puzzleRole, 'read')) {
+        next(createError(404, 'Puzzle not found'))
+      } else if (!can(req.puzzleRole, action)) {
+        next(createError(403))
+      } else {
+        next()
+      }
+    } catch (error) {
+      next(error)
+    }
+  }
+}
+
+/**
+ * Authorizes a user to view the shared content of a friend.
  *
  * @param {object} req - Express request object.
  * @param {object} res - Express response object.
  * @param {object} next - Express next middleware function.
  */
-export const authorizeUser = (req, res, next) => {
+export const authorizeFriend = (req, res, next) => {
   try {
-    if (req.puzzle.owner.toString() !== req.user.id) {
+    if (!req.otherUser.hasFriend(req.user.id)) {
       next(createError(403))
     } else {
       next()
@@ -18,3 +44,45 @@ export const authorizeUser = (req, res, next) => {
     next(error)
   }
 }
+
+/**
+ * Checks that the loaded puzzle belongs to the loaded user, when a puzzle of a friend is requested.
+ * Puzzles of other users are handled as if they did not exist. Whether the puzzle may be read is decided by authorizePuzzle.
+ *
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {object} next - Express next middleware function.
+ */
+export const authorizeSharedPuzzle = (req, res, next) => {
+  try {
+    if (req.puzzle.owner.toString() !== req.otherUser.id) {
+      next(createError(404, 'Puzzle not found'))
+    } else {
+      next()
+    }
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Creates a middleware that checks that a loaded document, e.g. a tag, belongs to the authenticated user.
+ * Documents of other users are handled as if they did not exist.
+ *
+ * @param {string} property - The property of the request that the document is loaded to.
+ * @param {string} notFoundMessage - The message of the error if the document belongs to another user.
+ * @returns {Function} The middleware.
+ */
+export const authorizeOwner = (property, notFoundMessage) => {
+  return (req, res, next) => {
+    try {
+      if (req[property].owner.toString() !== req.user.id) {
+        next(createError(404, notFoundMessage))
+      } else {
+        next()
+      }
+    } catch (error) {
+      next(error)
+    }
+  }
+}
@@ -0,0 +1,121 @@
+/**
+ * Parsing and creation of CSV files.
+ *
+ * @author Anja Willsund
+ * @version 1.0.0
+ */
+
+/**
+ * Guesses the delimiter of a CSV file from its first line. Spreadsheets with Swedish settings use semicolons.
+ *
+ * @param {string} text - The CSV file.
+ * @returns {string} The delimiter, a semicolon or a comma.
+ */
+const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0]
+  return (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ','
+}
+
+/**
+ * Parses a CSV file (RFC 4180) into rows of values. Values can be quoted with double quotes,
+ * in which case they can contain delimiters, line breaks and double quotes written as two double quotes.
+ *
+ * @param {string} text - The CSV file.
+ * @param {string} delimiter - The delimiter.
+ * @returns {string[][]} The rows.
+ * @throws {Error} If a quoted value is not closed.
+ */
+const parseRows = (text, delimiter) => {
+  const rows = []
+  let row = []
+  let value = ''
+  let inQuotes = false
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        value += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === delimiter) {
+      row.push(value)
+      value = ''
+    } else if (char === '\n' || char === '\r') {
+      // A line break is either \n or \r\n.
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++
+      }
+      row.push(value)
+      rows.push(row)
+      row = []
+      value = ''
+    } else {
+      value += char
+    }
+  }
+  if (inQuotes) {
+    throw new Error('Unclosed quote in CSV file.')
+  }
+  // The last row has no line break after it.
+  if (value !== '' || row.length > 0) {
+    row.push(value)
+    rows.push(row)
+  }
+  return rows
+}
+
+/**
+ * Parses a CSV file with a header row into objects, with the values of the header row as keys.
+ *
+ * @param {string} text - The CSV file.
+ * @returns {object[]} The rows as objects, with the number of each row in rowNumber. The header row is row 1.
+ */
+export const parseCsv = (text) => {
+  // Remove the byte order mark that Excel adds to UTF-8 files.
+  const csv = text.replace(/^\uFEFF/, '')
+  const [header = [], ...rows] = parseRows(csv, detectDelimiter(csv))
+  const keys = header.map(key => key.trim())
+  return rows.map((values, index) => {
+    const data = {}
+    keys.forEach((key, column) => {
+      if (key) {
+        data[key] = values[column] ?? ''
+      }
+    })
+    // The header is row 1, so the first row of values is row 2.
+    return { rowNumber: index + 2, data }
+  })
+}
+
+/**
+ * Formats a value for a CSV file. Values that contain delimiters, quotes or line breaks are quoted.
+ *
+ * @param {any} value - The value.
+ * @returns {string} The formatted value.
+ */
+const formatValue = (value) => {
+  const text = value === null || value === undefined ? '' : String(value)
+  return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Creates a CSV file with a header row from objects.
+ *
+ * @param {object[]} rows - The rows, as objects.
+ * @param {string[]} columns - The keys of the values to include, which are also used as the header row.
+ * @returns {string} The CSV file.
+ */
+export const stringifyCsv = (rows, columns) => {
+  const lines = [columns.join(',')]
+  for (const row of rows) {
+    lines.push(columns.map(column => formatValue(row[column])).join(','))
+  }
+  // The byte order mark makes Excel read the file as UTF-8, so that å, ä and ö are shown correctly.
+  return '\uFEFF' + lines.join('\r\n') + '\r\n'
+}
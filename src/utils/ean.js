@@ -0,0 +1,31 @@
+/**
+ * Validation of EAN barcodes.
+ *
+ * @author Anja Willsund
+ * @version 1.0.0
+ */
+
+/**
+ * Removes spaces and dashes from a submitted EAN code.
+ *
+ * @param {string} value - The submitted EAN code.
+ * @returns {string} The EAN code, with only the digits.
+ */
+export const normalizeEan = (value) => String(value ?? '').replace(/[\s-]/g, '')
+
+/**
+ * Checks if an EAN code is valid. EAN-8, UPC-A (12 digits) and EAN-13 codes are accepted, and the check digit must be correct.
+ *
+ * @param {string} ean - The EAN code, with only the digits.
+ * @returns {boolean} True if the EAN code is valid, otherwise false.
+ */
+export const isValidEan = (ean) => {
+  if (!/^(\d{8}|\d{12}|\d{13})$/.test(ean)) {
+    return false
+  }
+  // The digits are weighted 3 and 1 alternately, counted from the right, with the check digit last.
+  const digits = [...ean].map(Number)
+  const checkDigit = digits.pop()
+  const sum = digits.reverse().reduce((total, digit, index) => total + digit * (index % 2 === 0 ? 3 : 1), 0)
+  return (10 - (sum % 10)) % 10 === checkDigit
+}
@@ -0,0 +1,151 @@
+/**
+ * Encryption of secrets that are saved in the database.
+ *
+ * Every record is encrypted with AES-256-GCM, a random initialization vector and the current key of the key ring.
+ * The id of the key is saved with the record, so that keys can be rotated without making older records unreadable.
+ *
+ * The key ring is configured with the following environment variables:
+ * - SECRET_ENCRYPTION_KEY - The key with the id "default", which is also used to decrypt records saved without a key id.
+ * - SECRET_ENCRYPTION_KEYS - More keys, as a comma-separated list of ids and keys, e.g. "2024-05:<key>,2025-01:<key>".
+ * - SECRET_ENCRYPTION_KEY_ID - The id of the key that new records are encrypted with. Defaults to "default".
+ * All keys are 32 bytes, base64 encoded.
+ *
+ * @author Anja Willsund
+ * @version 1.0.0
+ */
+
+import crypto from 'crypto'
+
+// The id of the key in SECRET_ENCRYPTION_KEY.
+const DEFAULT_KEY_ID = 'default'
+
+/**
+ * Gets all keys of the key ring.
+ *
+ * @returns {Map<string, Buffer>} The keys, by id.
+ */
+const getKeys = () => {
+  const keys = new Map()
+  if (process.env.SECRET_ENCRYPTION_KEY) {
+    keys.set(DEFAULT_KEY_ID, Buffer.from(process.env.SECRET_ENCRYPTION_KEY, 'base64'))
+  }
+  for (const entry of (process.env.SECRET_ENCRYPTION_KEYS || '').split(',')) {
+    const [keyId, key] = entry.trim().split(':')
+    if (keyId && key) {
+      keys.set(keyId, Buffer.from(key, 'base64'))
+    }
+  }
+  return keys
+}
+
+/**
+ * Gets a key of the key ring.
+ *
+ * @param {string} keyId - The id of the key.
+ * @returns {Buffer} The key.
+ * @throws {Error} If there is no key with the id.
+ */
+const getKey = (keyId) => {
+  const key = getKeys().get(keyId)
+  if (!key) {
+    throw new Error(`Unknown encryption key: ${keyId}`)
+  }
+  return key
+}
+
+/**
+ * Gets the id of the key that new records are encrypted with.
+ *
+ * @returns {string} The id of the key.
+ */
+export const getCurrentKeyId = () => process.env.SECRET_ENCRYPTION_KEY_ID || DEFAULT_KEY_ID
+
+/**
+ * Checks if a value is a hexadecimal string.
+ *
+ * @param {any} value - The value to check.
+ * @returns {boolean} True if the value is a hexadecimal string, otherwise false.
+ */
+const isHex = (value) => typeof value === 'string' && /^[0-9a-f]*$/.test(value)
+
+/**
+ * Parses an encrypted record.
+ *
+ * @param {string} encryptedText - The encrypted record, as JSON.
+ * @returns {object|null} The parsed record, or null if the text is not an encrypted record.
+ */
+const parseRecord = (encryptedText) => {
+  try {
+    const record = JSON.parse(encryptedText)
+    if (record && isHex(record.iv) && isHex(record.encryptedData) && (record.authTag === undefined || isHex(record.authTag))) {
+      return record
+    }
+  } catch (error) {
+    // The text is not JSON, so it is not an encrypted record.
+  }
+  return null
+}
+
+/**
+ * Checks if a text is an encrypted record. Only used for records that have been read from the database,
+ * since a submitted text can look like an encrypted record.
+ *
+ * @param {string} text - The text to check.
+ * @returns {boolean} True if the text is an encrypted record, otherwise false.
+ */
+export const isEncrypted = (text) => typeof text === 'string' && parseRecord(text) !== null
+
+/**
+ * Encrypts a text with the current key.
+ *
+ * @param {string} text - The text to encrypt.
+ * @returns {string} The key id, initialization vector, authentication tag and encrypted data, as JSON.
+ */
+export const encrypt = (text) => {
+  const keyId = getCurrentKeyId()
+  const iv = crypto.randomBytes(12)
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(keyId), iv)
+  const encryptedData = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()])
+  return JSON.stringify({
+    keyId,
+    iv: iv.toString('hex'),
+    authTag: cipher.getAuthTag().toString('hex'),
+    encryptedData: encryptedData.toString('hex')
+  })
+}
+
+/**
+ * Decrypts a record. Records saved before GCM was used, which have no authentication tag,
+ * are decrypted with AES-256-CBC and SECRET_ENCRYPTION_KEY.
+ *
+ * @param {string} encryptedText - The encrypted record, as JSON.
+ * @returns {string} The decrypted text.
+ */
+export const decrypt = (encryptedText) => {
+  const record = parseRecord(encryptedText)
+  if (!record) {
+    throw new Error('The text is not an encrypted record.')
+  }
+  const key = getKey(record.keyId || DEFAULT_KEY_ID)
+  const iv = Buffer.from(record.iv, 'hex')
+
+  let decipher
+  if (record.authTag) {
+    decipher = crypto.createDecipheriv('aes-256-gcm', key, iv)
+    decipher.setAuthTag(Buffer.from(record.authTag, 'hex'))
+  } else {
+    decipher = crypto.createDecipheriv('aes-256-cbc', key, iv)
+  }
+  return Buffer.concat([decipher.update(Buffer.from(record.encryptedData, 'hex')), decipher.final()]).toString('utf8')
+}
+
+/**
+ * Checks if a record should be encrypted again, because it is encrypted with CBC or with another key than the current key.
+ *
+ * @param {string} encryptedText - The encrypted record, as JSON.
+ * @returns {boolean} True if the record should be encrypted again, otherwise false.
+ */
+export const needsReencryption = (encryptedText) => {
+  const record = parseRecord(encryptedText)
+  return Boolean(record) && (!record.authTag || (record.keyId || DEFAULT_KEY_ID) !== getCurrentKeyId())
+}
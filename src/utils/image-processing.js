@@ -0,0 +1,115 @@
+/**
+ * Image processing.
+ *
+ * @author Anja Willsund
+ * @version 1.0.0
+ */
+
+import crypto from 'crypto'
+import sharp from 'sharp'
+
+// The maximum width, in pixels, of each image size. The original is not resized.
+export const IMAGE_SIZES = {
+  thumbnail: 150, // Used in the list of puzzles.
+  medium: 500, // Used on the puzzle page.
+  large: 2000, // Used to zoom in on the box art.
+  original: null // Used to check the shapes of the pieces in full resolution.
+}
+
+// The formats that every image size, except the original, is saved in. PNG is used if the client does not accept any of the other formats.
+export const IMAGE_FORMATS = ['png', 'webp', 'avif']
+
+// The formats of the uploaded images that are kept as originals. Other images, e.g. SVG images, which could contain scripts, are not kept.
+export const ORIGINAL_FORMATS = ['jpeg', 'png', 'webp', 'avif', 'gif', 'tiff', 'heif']
+
+// The maximum size of an original, so that it fits in a MongoDB document, which can be at most 16MB.
+const MAX_ORIGINAL_SIZE = 15 * 1024 * 1024 // 15MB
+
+/**
+ * Creates all sizes and formats of an uploaded image.
+ *
+ * @param {Buffer} buffer - The uploaded image.
+ * @returns {Promise<object[]>} The size, format, width, height, data and ETag of every variant of the image.
+ */
+export const createImageVariants = async (buffer) => {
+  const variants = []
+  // The variants are created one at a time, to limit the memory used by Sharp.
+  for (const [size, width] of Object.entries(IMAGE_SIZES)) {
+    if (width === null) {
+      continue
+    }
+    for (const format of IMAGE_FORMATS) {
+      // The height is auto-scaled to maintain aspect ratio. Small images are not enlarged.
+      variants.push(await createImageVariant(buffer, size, format, image => image.resize({ width, withoutEnlargement: true })))
+    }
+  }
+  const original = await createOriginal(buffer)
+  if (original) {
+    variants.push(original)
+  }
+  return variants
+}
+
+/**
+ * Creates the original of an uploaded image, which is the uploaded image unchanged, in its own format.
+ * Images that are too large, or in a format that is not kept, have no original, and the large size is used instead.
+ *
+ * @param {Buffer} buffer - The uploaded image.
+ * @returns {Promise<object|null>} The size, format, width, height, data and ETag of the original, or null if the image is not kept.
+ */
+const createOriginal = async (buffer) => {
+  const metadata = await sharp(buffer).metadata()
+  // AVIF images are read as HEIF images that are compressed with AV1.
+  const format = metadata.format === 'heif' && metadata.compression === 'av1' ? 'avif' : metadata.format
+  if (!ORIGINAL_FORMATS.includes(format) || buffer.length > MAX_ORIGINAL_SIZE) {
+    return null
+  }
+  // The image is not rotated, since that would change it, so the width and height are swapped if the EXIF orientation turns it.
+  const isTurned = metadata.orientation >= 5
+  return {
+    size: 'original',
+    format,
+    width: isTurned ? metadata.height : metadata.width,
+    height: isTurned ? metadata.width : metadata.height,
+    data: buffer,
+    etag: `"${crypto.createHash('sha1').update(buffer).digest('hex')}"`
+  }
+}
+
+/**
+ * Creates one size and format of an uploaded image.
+ *
+ * @param {Buffer} buffer - The uploaded image.
+ * @param {string} size - The size.
+ * @param {string} format - The format.
+ * @param {Function} resize - Resizes the Sharp image.
+ * @returns {Promise<object>} The size, format, width, height, data and ETag of the variant.
+ */
+const createImageVariant = async (buffer, size, format, resize) => {
+  // Rotate the image according to its EXIF orientation, since the metadata is removed.
+  const { data, info } = await resize(sharp(buffer).rotate())
+    .toFormat(format)
+    .toBuffer({ resolveWithObject: true })
+  return {
+    size,
+    format,
+    width: info.width,
+    height: info.height,
+    data,
+    etag: `"${crypto.createHash('sha1').update(data).digest('hex')}"`
+  }
+}
+
+/**
+ * Gets the URLs to every size of an image.
+ *
+ * @param {string} imageUrl - The URL to the image.
+ * @returns {object} The URLs, by size.
+ */
+export const getImageUrls = (imageUrl) => {
+  const imageUrls = {}
+  for (const size of Object.keys(IMAGE_SIZES)) {
+    imageUrls[size] = `${imageUrl}?size=${size}`
+  }
+  return imageUrls
+}
@@ -0,0 +1,81 @@
+/**
+ * Sending of mail through a pluggable transport.
+ *
+ * A transport is an object with an async send(message) method, where the message has the properties to, subject and text.
+ * The transport is chosen with the environment variable MAIL_TRANSPORT, and other transports can be added with registerMailTransport.
+ *
+ * @author Anja Willsund
+ * @version 1.0.0
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+
+// The transports that mail can be sent through, by name.
+const transports = new Map()
+
+// The transports that write the mail where it can be read by others than the recipient, e.g. in the logs,
+// which can't be used in production, since the mail contains links to reset passwords.
+const DEVELOPMENT_TRANSPORTS = ['console', 'file']
+
+/**
+ * Registers a transport that mail can be sent through.
+ *
+ * @param {string} name - The name of the transport, which is used in MAIL_TRANSPORT.
+ * @param {object} transport - The transport, with an async send(message) method.
+ */
+export const registerMailTransport = (name, transport) => {
+  if (typeof transport?.send !== 'function') {
+    throw new TypeError('A mail transport must have a send method.')
+  }
+  transports.set(name, transport)
+}
+
+/**
+ * Sends a mail through the transport chosen with MAIL_TRANSPORT. The console transport is used by default,
+ * except in production, where a transport that sends the mail to the recipient must be chosen.
+ *
+ * @param {object} message - The mail to send.
+ * @param {string} message.to - The recipient.
+ * @param {string} message.subject - The subject.
+ * @param {string} message.text - The text.
+ * @throws {Error} If the transport is unknown, or if no transport, or a development transport, has been chosen in production.
+ */
+export const sendMail = async (message) => {
+  const name = process.env.MAIL_TRANSPORT || 'console'
+  if (process.env.NODE_ENV === 'production' && DEVELOPMENT_TRANSPORTS.includes(name)) {
+    throw new Error(`The mail transport ${name} can't be used in production. Choose another transport with MAIL_TRANSPORT.`)
+  }
+  const transport = transports.get(name)
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`)
+  }
+  await transport.send({ from: process.env.MAIL_FROM || 'Bit För Bit <no-reply@bitforbit.se>', ...message })
+}
+
+// Writes the mail to the console. Used for local development.
+registerMailTransport('console', {
+  /**
+   * Writes a mail to the console.
+   *
+   * @param {object} message - The mail to send.
+   */
+  async send (message) {
+    console.log(`Mail to ${message.to}: ${message.subject}\n${message.text}`)
+  }
+})
+
+// Saves every mail as a JSON file in the directory MAIL_DIR. Used for local development and tests.
+registerMailTransport('file', {
+  /**
+   * Saves a mail as a JSON file.
+   *
+   * @param {object} message - The mail to send.
+   */
+  async send (message) {
+    const directory = process.env.MAIL_DIR || 'mail'
+    await fs.mkdir(directory, { recursive: true })
+    const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${message.to.replace(/[^a-zA-Z0-9@.-]/g, '_')}.json`
+    await fs.writeFile(path.join(directory, fileName), JSON.stringify({ ...message, sentAt: new Date() }, null, 2))
+  }
+})
@@ -0,0 +1,49 @@
+/**
+ * Parsing of lists of names, e.g. the tags of a puzzle or the path to a location.
+ *
+ * @author Anja Willsund
+ * @version 1.0.0
+ */
+
+import createError from 'http-errors'
+
+/**
+ * Parses a submitted list of names, which is either an array or a comma-separated string.
+ * Empty names are removed, and names that only differ in case are only included once.
+ *
+ * @param {string|string[]} value - The submitted list.
+ * @param {number} [maxLength] - The maximum length of a name.
+ * @param {string} [message] - The error message if a name is too long.
+ * @returns {string[]} The names.
+ * @throws {Error} If a name is too long.
+ */
+export const parseNameList = (value, maxLength = Infinity, message = '') => {
+  const names = []
+  const values = (Array.isArray(value) ? value : [value]).flatMap(item => String(item ?? '').split(','))
+  for (const name of values.map(item => item.trim()).filter(Boolean)) {
+    if (name.length > maxLength) {
+      throw createError(400, message)
+    }
+    if (!names.some(existingName => existingName.localeCompare(name, 'sv', { sensitivity: 'accent' }) === 0)) {
+      names.push(name)
+    }
+  }
+  return names
+}
+
+/**
+ * Parses a submitted path to a location, where the names of the locations are separated by >, e.g. "Hus > Vind > Låda 3".
+ *
+ * @param {string} value - The submitted path.
+ * @param {number} [maxLength] - The maximum length of the name of a location.
+ * @param {string} [message] - The error message if a name is too long.
+ * @returns {string[]} The names of the locations, starting with the top location.
+ * @throws {Error} If a name is too long.
+ */
+export const parseLocationPath = (value, maxLength = Infinity, message = '') => {
+  const names = String(value ?? '').split('>').map(name => name.trim()).filter(Boolean)
+  if (names.some(name => name.length > maxLength)) {
+    throw createError(400, message)
+  }
+  return names
+}
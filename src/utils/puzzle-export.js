@@ -0,0 +1,91 @@
+/**
+ * The format that puzzles are exported in.
+ *
+ * @author Anja Willsund
+ * @version 1.0.0
+ */
+
+import { decrypt } from './encryption.js'
+
+// The fields of a puzzle that are exported to CSV files, which are also the fields that can be imported.
+export const EXPORT_FIELDS = [
+  'title',
+  'piecesNumber',
+  'sizeHeight',
+  'sizeWidth',
+  'manufacturer',
+  'ean',
+  'lastPlayed',
+  'location',
+  'tags',
+  'shelves',
+  'complete',
+  'missingPiecesNumber',
+  'privateNote',
+  'sharedNote',
+  'isPrivate',
+  'availableForSwap',
+  'isLentOut',
+  'lentOutToString',
+  'lentOutDueDate'
+]
+
+/**
+ * Formats a date as YYYY-MM-DD.
+ *
+ * @param {Date|null|undefined} date - The date.
+ * @returns {string|null} The formatted date, or null if there is no date.
+ */
+const formatDate = (date) => date ? date.toISOString().slice(0, 10) : null
+
+/**
+ * Converts a puzzle to the format that it is exported in, with the private note decrypted.
+ *
+ * @param {object} puzzle - The puzzle, with the tags and shelves populated.
+ * @param {object|null} loan - The active loan of the puzzle, if it is lent out.
+ * @param {string|null} locationPath - The path to the location of the puzzle, e.g. "Vind > Låda 3", if it has a location.
+ * @returns {object} The exported puzzle.
+ */
+export const toExportData = (puzzle, loan, locationPath) => ({
+  title: puzzle.title,
+  piecesNumber: puzzle.piecesNumber ?? null,
+  sizeHeight: puzzle.sizeHeight ?? null,
+  sizeWidth: puzzle.sizeWidth ?? null,
+  manufacturer: puzzle.manufacturer || '',
+  ean: puzzle.ean || '',
+  lastPlayed: formatDate(puzzle.lastPlayed),
+  // Only in JSON files, so that the date entered manually can be told apart from the dates of the sessions when a backup is restored.
+  lastPlayedManually: formatDate(puzzle.lastPlayedManually),
+  location: locationPath || '',
+  tags: puzzle.tags.map(tag => tag.name),
+  shelves: puzzle.shelves.map(shelf => shelf.name),
+  complete: puzzle.complete ?? null,
+  missingPiecesNumber: puzzle.missingPiecesNumber ?? null,
+  privateNote: puzzle.privateNote ? decrypt(puzzle.privateNote) : '',
+  sharedNote: puzzle.sharedNote || '',
+  isPrivate: puzzle.isPrivate,
+  availableForSwap: puzzle.availableForSwap,
+  isLentOut: puzzle.isLentOut,
+  lentOutToString: puzzle.isLentOut ? puzzle.lentOutToString || '' : '',
+  lentOutDueDate: formatDate(loan?.dueDate),
+  sessions: puzzle.sessions.map(session => ({
+    startedAt: session.startedAt.toISOString(),
+    finishedAt: session.finishedAt ? session.finishedAt.toISOString() : null,
+    timeSpent: session.timeSpent ?? null,
+    players: session.players || '',
+    note: session.note || ''
+  })),
+  missingPieces: puzzle.missingPieces.map(piece => ({
+    kind: piece.kind,
+    x: piece.x,
+    y: piece.y,
+    description: piece.description || '',
+    noticedAt: piece.noticedAt.toISOString(),
+    foundAt: piece.foundAt ? piece.foundAt.toISOString() : null
+  })),
+  photos: puzzle.photos.map(photo => ({
+    type: photo.type,
+    caption: photo.caption || '',
+    isCover: photo._id.equals(puzzle.coverPhoto)
+  }))
+})
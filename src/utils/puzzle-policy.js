@@ -0,0 +1,95 @@
+/**
+ * The policy that decides what a user may do with a puzzle, and which fields of the puzzle the user may see.
+ *
+ * Every user has one of the following roles for a puzzle:
+ * - owner - The user that owns the puzzle, who may do everything.
+ * - friend - A friend of the owner, who may see the shared fields of puzzles that are not private, and borrow them.
+ * - swapper - Every other user, if the puzzle is available for swap, who may see the shared fields so that they can propose a swap.
+ * - anonymous - Every other user, who may not see that the puzzle exists.
+ *
+ * @author Anja Willsund
+ * @version 1.0.0
+ */
+
+import { User } from '../models/user.js'
+
+// The fields of a puzzle that are visible to the owner's friends, if the puzzle is not private.
+export const SHARED_FIELDS = [
+  'title',
+  'piecesNumber',
+  'sizeHeight',
+  'sizeWidth',
+  'manufacturer',
+  'ean',
+  'lastPlayed',
+  'complete',
+  'missingPiecesNumber',
+  'sharedNote',
+  'isLentOut',
+  'availableForSwap'
+]
+
+// The fields that are added to a puzzle in the responses, and are visible to everyone who may read the puzzle.
+const RESPONSE_FIELDS = ['id', 'imageUrl', 'imageUrls', 'photos']
+
+// The actions that each role may perform on a puzzle.
+const PERMISSIONS = {
+  owner: ['read', 'readImage', 'readPhotos', 'readLoans', 'readSessions', 'readMissingPieces', 'update', 'delete', 'manageSessions', 'managePhotos', 'manageMissingPieces'],
+  friend: ['read', 'readImage', 'readPhotos', 'borrow'],
+  swapper: ['read', 'readImage', 'readPhotos'],
+  anonymous: []
+}
+
+/**
+ * Gets the role of a user for a puzzle.
+ *
+ * @param {object} puzzle - The puzzle.
+ * @param {string} userId - The id of the user.
+ * @returns {Promise<string>} The role: owner, friend, swapper or anonymous.
+ */
+export const getPuzzleRole = async (puzzle, userId) => {
+  if (userId && puzzle.owner.toString() === userId.toString()) {
+    return 'owner'
+  }
+  // Private puzzles are only visible to the owner, so friends don't have to be looked up.
+  if (userId && !puzzle.isPrivate && await User.exists({ _id: puzzle.owner, friends: userId })) {
+    return 'friend'
+  }
+  // Puzzles that are available for swap are visible to all users.
+  if (userId && !puzzle.isPrivate && puzzle.availableForSwap) {
+    return 'swapper'
+  }
+  return 'anonymous'
+}
+
+/**
+ * Checks if a role may perform an action on a puzzle.
+ *
+ * @param {string} role - The role of the user.
+ * @param {string} action - The action.
+ * @returns {boolean} True if the action is allowed, otherwise false.
+ */
+export const can = (role, action) => PERMISSIONS[role]?.includes(action) ?? false
+
+/**
+ * Removes the fields of a puzzle that a role may not see.
+ *
+ * @param {object} puzzleData - The puzzle, in the format that is sent as a response.
+ * @param {string} role - The role of the user.
+ * @returns {object|null} The fields that the role may see, or null if the role may not read the puzzle.
+ */
+export const redactPuzzle = (puzzleData, role) => {
+  if (!can(role, 'read')) {
+    return null
+  }
+  if (role === 'owner') {
+    return puzzleData
+  }
+  const redactedData = {}
+  for (const field of [...RESPONSE_FIELDS, ...SHARED_FIELDS]) {
+    if (field in puzzleData) {
+      redactedData[field] = puzzleData[field]
+    }
+  }
+  return redactedData
+}
@@ -0,0 +1,243 @@
+/**
+ * Rate limiting and brute-force protection.
+ *
+ * The counters are kept in a store with async get, set, increment and delete methods, so that a store that is shared
+ * between several servers can be used instead of the in-memory default with setRateLimitStore.
+ *
+ * @author Anja Willsund
+ * @version 1.0.0
+ */
+
+import createError from 'http-errors'
+
+// The number of failed logins for a username before the username is locked.
+const FAILED_LOGINS_BEFORE_LOCKOUT = 5
+
+// How long the failed logins for a username are remembered, in milliseconds.
+const FAILED_LOGINS_WINDOW = 1000 * 60 * 60 * 24 // 24 hours
+
+// The lockout after the first failed login over the limit, in milliseconds. The lockout is doubled for every further failed login.
+const INITIAL_LOCKOUT = 1000 * 60 // 1 minute
+
+// The longest lockout, in milliseconds.
+const MAX_LOCKOUT = 1000 * 60 * 60 // 1 hour
+
+/**
+ * Keeps the counters in memory. The counters are lost when the server is restarted and are not shared between servers.
+ */
+export class MemoryStore {
+  /**
+   * The saved values and the points in time when they expire, by key.
+   *
+   * @type {Map<string, {value: any, expiresAt: number}>}
+   */
+  #entries = new Map()
+
+  /**
+   * Creates a store that removes expired values once every minute.
+   */
+  constructor () {
+    // The timer does not keep the process alive.
+    setInterval(() => this.#removeExpired(), 1000 * 60).unref()
+  }
+
+  /**
+   * Gets a value.
+   *
+   * @param {string} key - The key of the value.
+   * @returns {Promise<any>} The value, or undefined if there is no value or it has expired.
+   */
+  async get (key) {
+    const entry = this.#entries.get(key)
+    if (!entry || entry.expiresAt <= Date.now()) {
+      return undefined
+    }
+    return entry.value
+  }
+
+  /**
+   * Saves a value.
+   *
+   * @param {string} key - The key of the value.
+   * @param {any} value - The value.
+   * @param {number} ttl - The time until the value expires, in milliseconds.
+   */
+  async set (key, value, ttl) {
+    this.#entries.set(key, { value, expiresAt: Date.now() + ttl })
+  }
+
+  /**
+   * Increments a counter. A new counter is started if there is no counter or it has expired.
+   *
+   * @param {string} key - The key of the counter.
+   * @param {number} ttl - The time until a new counter expires, in milliseconds.
+   * @returns {Promise<{count: number, expiresAt: number}>} The incremented counter and the point in time when it expires.
+   */
+  async increment (key, ttl) {
+    let entry = this.#entries.get(key)
+    if (!entry || entry.expiresAt <= Date.now()) {
+      entry = { value: 0, expiresAt: Date.now() + ttl }
+      this.#entries.set(key, entry)
+    }
+    entry.value++
+    return { count: entry.value, expiresAt: entry.expiresAt }
+  }
+
+  /**
+   * Deletes a value.
+   *
+   * @param {string} key - The key of the value.
+   */
+  async delete (key) {
+    this.#entries.delete(key)
+  }
+
+  /**
+   * Removes all expired values.
+   */
+  #removeExpired () {
+    const now = Date.now()
+    for (const [key, entry] of this.#entries) {
+      if (entry.expiresAt <= now) {
+        this.#entries.delete(key)
+      }
+    }
+  }
+}
+
+let store = new MemoryStore()
+
+/**
+ * Replaces the store that the counters are kept in.
+ *
+ * @param {object} newStore - The store, with async get, set, increment and delete methods.
+ */
+export const setRateLimitStore = (newStore) => {
+  store = newStore
+}
+
+/**
+ * Creates a 429 Too Many Requests error.
+ *
+ * @param {string} message - The error message.
+ * @param {number} expiresAt - The point in time when a new request can be made.
+ * @returns {Error} The error, with the number of seconds until a new request can be made in retryAfter.
+ */
+const tooManyRequests = (message, expiresAt) => {
+  const error = createError(429, message)
+  error.retryAfter = Math.max(1, Math.ceil((expiresAt - Date.now()) / 1000))
+  return error
+}
+
+/**
+ * Gets the submitted username in the format that usernames are saved in.
+ *
+ * @param {object} req - Express request object.
+ * @returns {string} The username, or an empty string if no username was submitted.
+ */
+const getUsername = (req) => typeof req.body.username === 'string' ? req.body.username.trim().toLowerCase() : ''
+
+/**
+ * Gets the submitted username together with the IP address of the request.
+ *
+ * @param {object} req - Express request object.
+ * @returns {string} The username and the IP address, or an empty string if no username was submitted.
+ */
+const getUsernameAndIp = (req) => getUsername(req) && `${getUsername(req)}:${req.ip}`
+
+/**
+ * Creates a middleware that limits the number of requests during a period of time.
+ *
+ * @param {object} options - The options.
+ * @param {string} options.name - The name of the limit, which separates its counters from other limits.
+ * @param {number} options.max - The maximum number of requests during the period.
+ * @param {number} options.windowMs - The length of the period, in milliseconds.
+ * @param {Function} [options.key] - Gets the key to count the request by. Defaults to the IP address. The request is not counted if no key is returned.
+ * @returns {Function} The middleware.
+ */
+export const rateLimit = ({ name, max, windowMs, key = (req) => req.ip }) => {
+  return async (req, res, next) => {
+    try {
+      const requestKey = key(req)
+      if (!requestKey) {
+        next()
+        return
+      }
+      const { count, expiresAt } = await store.increment(`${name}:${requestKey}`, windowMs)
+      if (count > max) {
+        next(tooManyRequests('För många försök. Vänligen försök igen senare.', expiresAt))
+        return
+      }
+      next()
+    } catch (error) {
+      next(error)
+    }
+  }
+}
+
+/**
+ * Limits the number of login attempts for each submitted username from each IP address.
+ * The attempts are not counted for the username alone, since anyone who knows the username could then stop
+ * the user from logging in. Failed logins from all IP addresses are counted by registerFailedLogin instead.
+ *
+ * @param {object} options - The options.
+ * @param {number} options.max - The maximum number of login attempts during the period.
+ * @param {number} options.windowMs - The length of the period, in milliseconds.
+ * @returns {Function} The middleware.
+ */
+export const rateLimitByUsername = ({ max, windowMs }) => rateLimit({ name: 'username', max, windowMs, key: getUsernameAndIp })
+
+/**
+ * Checks if a username has been locked after too many failed logins.
+ *
+ * @param {string} username - The username.
+ * @throws {Error} If the username is locked.
+ */
+export const assertNotLockedOut = async (username) => {
+  const lockedUntil = await store.get(`lockout:${username}`)
+  if (lockedUntil && lockedUntil > Date.now()) {
+    throw tooManyRequests('Kontot är tillfälligt låst efter för många misslyckade inloggningar. Vänligen försök igen senare.', lockedUntil)
+  }
+}
+
+/**
+ * Rejects login attempts for a username that has been locked after too many failed logins.
+ *
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {Function} next - Express next middleware function.
+ */
+export const checkLoginLockout = async (req, res, next) => {
+  try {
+    await assertNotLockedOut(getUsername(req))
+    next()
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Registers a failed login for a username. After too many failed logins, the username is locked
+ * for a period that is doubled for every further failed login.
+ *
+ * @param {string} username - The username.
+ */
+export const registerFailedLogin = async (username) => {
+  const { count } = await store.increment(`failed-logins:${username}`, FAILED_LOGINS_WINDOW)
+  if (count >= FAILED_LOGINS_BEFORE_LOCKOUT) {
+    const lockout = Math.min(INITIAL_LOCKOUT * 2 ** (count - FAILED_LOGINS_BEFORE_LOCKOUT), MAX_LOCKOUT)
+    await store.set(`lockout:${username}`, Date.now() + lockout, lockout)
+  }
+}
+
+/**
+ * Forgets the failed logins for a username, after a successful login.
+ *
+ * @param {string} username - The username.
+ */
+export const resetFailedLogins = async (username) => {
+  await Promise.all([
+    store.delete(`failed-logins:${username}`),
+    store.delete(`lockout:${username}`)
+  ])
+}
@@ -0,0 +1,229 @@
+/**
+ * Access and refresh tokens.
+ *
+ * @author Anja Willsund
+ * @version 1.0.0
+ */
+
+import crypto from 'crypto'
+import createError from 'http-errors'
+import jwt from 'jsonwebtoken'
+import { PasswordResetToken } from '../models/password-reset-token.js'
+import { RefreshToken } from '../models/refresh-token.js'
+import { RevokedToken } from '../models/revoked-token.js'
+
+// The lifetime of an access token, in seconds.
+export const ACCESS_TOKEN_LIFETIME = 15 * 60 // 15 minutes
+
+// The lifetime of a refresh token, in milliseconds.
+const REFRESH_TOKEN_LIFETIME = 1000 * 60 * 60 * 24 * 30 // 30 days
+
+// The lifetime of a two-factor authentication challenge, in seconds.
+const TWO_FACTOR_CHALLENGE_LIFETIME = 5 * 60 // 5 minutes
+
+// The lifetime of a password reset token, in milliseconds.
+const PASSWORD_RESET_TOKEN_LIFETIME = 1000 * 60 * 60 // 1 hour
+
+/**
+ * Hashes a refresh token, so that it can be saved and looked up without saving the token itself.
+ *
+ * @param {string} token - The token to hash.
+ * @returns {string} The hash of the token.
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex')
+
+/**
+ * Gets the point in time when all access tokens issued now have expired.
+ * Access tokens issued before refresh tokens existed were valid for one hour, which is used if it is longer.
+ *
+ * @returns {Date} The point in time.
+ */
+const accessTokenExpiry = () => new Date(Date.now() + Math.max(ACCESS_TOKEN_LIFETIME, 60 * 60) * 1000)
+
+/**
+ * Issues a new access token and refresh token for a user.
+ *
+ * @param {string} userId - The id of the user.
+ * @param {string} [family] - The family of the refresh token. A new family is created if no family is submitted.
+ * @returns {Promise<object>} The access token, the refresh token and the lifetime of the access token in seconds.
+ */
+export const issueTokens = async (userId, family = crypto.randomUUID()) => {
+  // Payload to be stored in the JWT token. The family is used to revoke the token when the user logs out.
+  // The time when the token was issued is also saved in milliseconds, since iat is only saved in whole seconds,
+  // which can't tell if the token was issued before or after a revocation in the same second.
+  const payload = {
+    id: userId.toString(),
+    sid: family,
+    iatMs: Date.now()
+  }
+
+  // Generate a new JWT token with user data, using the JWT secret and setting it to expire in 15 minutes
+  const accessToken = jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_LIFETIME })
+
+  const refreshToken = crypto.randomBytes(48).toString('base64url')
+  await RefreshToken.create({
+    user: userId,
+    tokenHash: hashToken(refreshToken),
+    family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_LIFETIME)
+  })
+
+  return { accessToken, refreshToken, expiresIn: ACCESS_TOKEN_LIFETIME }
+}
+
+/**
+ * Exchanges a refresh token for a new access token and refresh token.
+ * A refresh token can only be used once. If a used token is used again, it has probably been stolen,
+ * so every token from the same login is revoked.
+ *
+ * @param {string} refreshToken - The refresh token to exchange.
+ * @returns {Promise<object>} The new tokens.
+ * @throws {Error} If the refresh token is not valid.
+ */
+export const rotateRefreshToken = async (refreshToken) => {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    throw createError(401, 'Invalid token.')
+  }
+  const storedToken = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) })
+  if (!storedToken || storedToken.revokedAt || storedToken.expiresAt < new Date()) {
+    throw createError(401, 'Invalid token.')
+  }
+
+  // Mark the token as used. The update only succeeds once, even if the token is used by two requests at the same time.
+  const { modifiedCount } = await RefreshToken.updateOne({ _id: storedToken._id, usedAt: null }, { usedAt: new Date() })
+  if (modifiedCount === 0) {
+    await revokeFamily(storedToken.family)
+    throw createError(401, 'Invalid token.')
+  }
+
+  return issueTokens(storedToken.user, storedToken.family)
+}
+
+/**
+ * Revokes all tokens from the same login, i.e. logs out the user from one device.
+ *
+ * @param {string} family - The family of the tokens to revoke.
+ */
+export const revokeFamily = async (family) => {
+  await Promise.all([
+    RefreshToken.updateMany({ family, revokedAt: null }, { revokedAt: new Date() }),
+    RevokedToken.create({ family, expiresAt: accessTokenExpiry() })
+  ])
+}
+
+/**
+ * Revokes all tokens of a user, i.e. logs out the user from all devices.
+ *
+ * @param {string} userId - The id of the user.
+ * @param {string} [exceptFamily] - The family of the tokens of a login that is kept, e.g. the current login.
+ */
+export const revokeAllTokens = async (userId, exceptFamily = null) => {
+  const now = new Date()
+  await Promise.all([
+    RefreshToken.updateMany({ user: userId, revokedAt: null, ...(exceptFamily && { family: { $ne: exceptFamily } }) }, { revokedAt: now }),
+    RevokedToken.create({ user: userId, exceptFamily, revokedAt: now, expiresAt: accessTokenExpiry() })
+  ])
+}
+
+/**
+ * Checks if a verified access token has been revoked.
+ *
+ * @param {object} decoded - The decoded payload of the access token.
+ * @returns {Promise<boolean>} True if the token has been revoked, otherwise false.
+ */
+export const isTokenRevoked = async (decoded) => {
+  const conditions = [
+    // The token was issued before the user logged out from all devices. Tokens issued before the time was saved
+    // in milliseconds are revoked by every revocation in the same second as they were issued, or later.
+    {
+      user: decoded.id,
+      revokedAt: Number.isInteger(decoded.iatMs) ? { $gt: new Date(decoded.iatMs) } : { $gte: new Date(decoded.iat * 1000) },
+      // The login that was kept when the other logins were revoked.
+      ...(decoded.sid && { exceptFamily: { $ne: decoded.sid } })
+    }
+  ]
+  if (decoded.sid) {
+    conditions.push({ family: decoded.sid })
+  }
+  return Boolean(await RevokedToken.exists({ $or: conditions }))
+}
+
+/**
+ * Issues a challenge token for a user that has entered the correct password, but also has to submit a two-factor authentication code.
+ *
+ * @param {string} userId - The id of the user.
+ * @returns {string} The challenge token.
+ */
+export const issueTwoFactorChallenge = (userId) => {
+  return jwt.sign({ id: userId.toString(), purpose: '2fa' }, process.env.JWT_SECRET, { expiresIn: TWO_FACTOR_CHALLENGE_LIFETIME })
+}
+
+/**
+ * Verifies a challenge token for two-factor authentication.
+ *
+ * @param {string} challengeToken - The challenge token.
+ * @returns {string} The id of the user that the challenge was issued for.
+ * @throws {Error} If the challenge token is not valid.
+ */
+export const verifyTwoFactorChallenge = (challengeToken) => {
+  try {
+    const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET)
+    if (decoded.purpose !== '2fa') {
+      throw new Error('Not a two-factor authentication challenge.')
+    }
+    return decoded.id
+  } catch (error) {
+    throw createError(401, 'Inloggningen har gått ut. Vänligen logga in igen.')
+  }
+}
+
+/**
+ * Creates a password reset token for a user. Earlier password reset tokens of the user can no longer be used.
+ *
+ * @param {string} userId - The id of the user.
+ * @returns {Promise<string>} The password reset token.
+ */
+export const createPasswordResetToken = async (userId) => {
+  await PasswordResetToken.deleteMany({ user: userId })
+
+  const token = crypto.randomBytes(32).toString('base64url')
+  await PasswordResetToken.create({
+    user: userId,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + PASSWORD_RESET_TOKEN_LIFETIME)
+  })
+  return token
+}
+
+/**
+ * Gets the user that a valid password reset token was created for, without using the token.
+ *
+ * @param {string} token - The password reset token.
+ * @returns {Promise<string>} The id of the user that the token was created for.
+ * @throws {Error} If the token is not valid.
+ */
+export const getPasswordResetTokenUser = async (token) => {
+  const storedToken = typeof token === 'string' &&
+    await PasswordResetToken.findOne({ tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: new Date() } })
+  if (!storedToken) {
+    throw createError(400, 'Länken för att återställa lösenordet är ogiltig eller har gått ut.')
+  }
+  return storedToken.user.toString()
+}
+
+/**
+ * Uses a password reset token. A password reset token can only be used once.
+ *
+ * @param {string} token - The password reset token.
+ * @throws {Error} If the token is not valid.
+ */
+export const usePasswordResetToken = async (token) => {
+  // The token is only marked as used if it has not been used, so it can't be used by two requests at the same time.
+  const { modifiedCount } = await PasswordResetToken.updateOne(
+    { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() }
+  )
+  if (modifiedCount === 0) {
+    throw createError(400, 'Länken för att återställa lösenordet är ogiltig eller har gått ut.')
+  }
+}
@@ -0,0 +1,135 @@
+/**
+ * Time-based one-time passwords (TOTP, RFC 6238), which are used for two-factor authentication.
+ *
+ * @author Anja Willsund
+ * @version 1.0.0
+ */
+
+import crypto from 'crypto'
+
+// The characters of base32 (RFC 4648), which authenticator apps use for secrets.
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+
+// The number of seconds that a code is valid.
+const TIME_STEP = 30
+
+// The number of digits in a code.
+const DIGITS = 6
+
+// The number of time steps before and after the current one that are accepted, to allow for clocks that are out of sync.
+const ALLOWED_DRIFT = 1
+
+/**
+ * Encodes bytes as base32, without padding.
+ *
+ * @param {Buffer} buffer - The bytes to encode.
+ * @returns {string} The base32 encoded bytes.
+ */
+const base32Encode = (buffer) => {
+  let bits = ''
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0')
+  }
+  let encoded = ''
+  for (let i = 0; i < bits.length; i += 5) {
+    encoded += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)]
+  }
+  return encoded
+}
+
+/**
+ * Decodes base32. Padding, spaces and lower case letters are accepted.
+ *
+ * @param {string} encoded - The base32 encoded bytes.
+ * @returns {Buffer} The decoded bytes.
+ */
+const base32Decode = (encoded) => {
+  let bits = ''
+  for (const char of encoded.toUpperCase().replace(/[\s=]/g, '')) {
+    const value = BASE32_ALPHABET.indexOf(char)
+    if (value === -1) {
+      throw new Error('Invalid base32 character.')
+    }
+    bits += value.toString(2).padStart(5, '0')
+  }
+  const bytes = []
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2))
+  }
+  return Buffer.from(bytes)
+}
+
+/**
+ * Generates the code for a time step (HOTP, RFC 4226).
+ *
+ * @param {string} secret - The base32 encoded secret.
+ * @param {number} step - The time step.
+ * @returns {string} The code.
+ */
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8)
+  counter.writeBigUInt64BE(BigInt(step))
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest()
+  // Dynamic truncation: the last four bits choose which four bytes of the HMAC the code is made from.
+  const offset = hmac[hmac.length - 1] & 0xf
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS
+  return code.toString().padStart(DIGITS, '0')
+}
+
+/**
+ * Generates a new random secret.
+ *
+ * @returns {string} The base32 encoded secret.
+ */
+export const generateSecret = () => base32Encode(crypto.randomBytes(20))
+
+/**
+ * Gets the current time step.
+ *
+ * @param {number} [time] - The point in time, in milliseconds. Defaults to now.
+ * @returns {number} The time step.
+ */
+export const getTimeStep = (time = Date.now()) => Math.floor(time / 1000 / TIME_STEP)
+
+/**
+ * Generates the code for a point in time.
+ *
+ * @param {string} secret - The base32 encoded secret.
+ * @param {number} [time] - The point in time, in milliseconds. Defaults to now.
+ * @returns {string} The code.
+ */
+export const generateTotp = (secret, time = Date.now()) => generateCode(secret, getTimeStep(time))
+
+/**
+ * Verifies a code. Codes from the time steps just before and after the current one are also accepted.
+ *
+ * @param {string} secret - The base32 encoded secret.
+ * @param {string} code - The submitted code.
+ * @param {number} [lastUsedStep] - The time step of the last code that was used. Codes from this step or earlier are rejected, so that a code can only be used once.
+ * @returns {number|null} The time step of the code, or null if the code is not valid.
+ */
+export const verifyTotp = (secret, code, lastUsedStep = -1) => {
+  if (typeof code !== 'string' || !new RegExp(`^\\d{${DIGITS}}$`).test(code)) {
+    return null
+  }
+  const currentStep = getTimeStep()
+  for (let step = currentStep - ALLOWED_DRIFT; step <= currentStep + ALLOWED_DRIFT; step++) {
+    if (step > lastUsedStep && crypto.timingSafeEqual(Buffer.from(generateCode(secret, step)), Buffer.from(code))) {
+      return step
+    }
+  }
+  return null
+}
+
+/**
+ * Creates the URL that authenticator apps read from the QR code.
+ *
+ * @param {string} secret - The base32 encoded secret.
+ * @param {string} accountName - The name of the account, shown in the app.
+ * @returns {string} The otpauth URL.
+ */
+export const getOtpauthUrl = (secret, accountName) => {
+  const issuer = 'Bit För Bit'
+  const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: DIGITS, period: TIME_STEP })
+  return `otpauth://totp/${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}?${params}`
+}